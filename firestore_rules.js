@@ -2,13 +2,15 @@ rules_version = '2';
 
 service cloud.firestore {
   match /databases/{database}/documents {
-    // Allow read access to itineraries collection for anyone with the document ID
-    // This enables the status checker functionality
+    // Itinerary jobs are read through the worker, which checks the caller's
+    // API key and only returns jobs that caller owns. The worker's service
+    // account is not subject to these rules.
     match /itineraries/{jobId} {
-      // Allow read access to anyone (they need the jobId to access)
-      allow read: if true;
+      // No direct client reads: a job's ownerId is the id of an API client,
+      // not a Firebase Auth uid, so there is no user to match it against
+      allow read: if false;
       
-      // Only allow server-side writes (using Firebase Admin SDK)
+      // Only allow server-side writes (using the service account)
       // Regular users cannot write to this collection
       allow write: if false;
     }
@@ -18,4 +20,4 @@ service cloud.firestore {
       allow read, write: if false;
     }
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,11 @@
+-- Itinerary jobs for STORAGE_BACKEND = "d1"
+-- Apply with: wrangler d1 migrations apply itineraries
+CREATE TABLE IF NOT EXISTS itineraries (
+  id TEXT PRIMARY KEY,
+  status TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  data TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_itineraries_status_created_at ON itineraries (status, created_at);
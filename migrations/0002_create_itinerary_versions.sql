@@ -0,0 +1,9 @@
+-- Immutable itinerary versions, one row per generated, edited or restored itinerary
+CREATE TABLE IF NOT EXISTS itinerary_versions (
+  job_id TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  reason TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  data TEXT NOT NULL,
+  PRIMARY KEY (job_id, version)
+);
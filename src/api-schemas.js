@@ -0,0 +1,265 @@
+import { z } from 'zod';
+import { isValidISODate, isValidTimezone } from './calendar.js';
+import { PROVIDER_NAMES } from './providers.js';
+import { validateCallbackUrl } from './webhooks.js';
+import { ERROR_CODES } from './errors.js';
+import { ActivitySchema, DaySchema, PreferencesSchema, StopsSchema } from './schemas.js';
+
+// Zod schemas for the HTTP API. The request schemas are what the handlers
+// validate with, and /openapi.json is generated from these same schemas (see
+// openapi.js), so the published contract can't drift from the code.
+
+export const JOB_STATUSES = ['processing', 'completed', 'failed', 'cancelled'];
+
+export const JobStatusSchema = z.enum(JOB_STATUSES).describe('Job lifecycle: processing until it completes, fails or is cancelled');
+
+// Request body of POST /v1/itineraries. Unknown fields are rejected, so a
+// misspelt option fails loudly instead of being ignored.
+const DURATION_MESSAGE = 'durationDays must be an integer between 1 and 30';
+const LLM_MESSAGE = `llm must be an object with an optional provider (${PROVIDER_NAMES.join(', ')}) and model name`;
+
+const DurationDaysSchema = z.number({ required_error: DURATION_MESSAGE, invalid_type_error: DURATION_MESSAGE })
+  .int(DURATION_MESSAGE)
+  .min(1, DURATION_MESSAGE)
+  .max(30, DURATION_MESSAGE);
+
+export const CreateItineraryRequestSchema = z.object({
+  destination: z.string({ invalid_type_error: 'Destination must be a string' })
+    .trim()
+    .min(2, 'Destination must be at least 2 characters long')
+    .nullish()
+    .describe('Trip destination; optional for multi-city trips, which default to their route'),
+  durationDays: DurationDaysSchema.describe('Trip length in days'),
+  stops: StopsSchema.nullish().describe('Ordered cities of a multi-city trip; nights must add up to durationDays'),
+  preferences: PreferencesSchema.nullish().describe('Traveler preferences used to tailor the plan'),
+  startDate: z.string()
+    .refine(isValidISODate, 'startDate must be a calendar date in YYYY-MM-DD format')
+    .nullish()
+    .describe('First day of the trip (YYYY-MM-DD); adds dates and weekdays to each day'),
+  timezone: z.string()
+    .refine(isValidTimezone, 'timezone must be an IANA timezone name such as "Europe/Paris"')
+    .nullish()
+    .describe('IANA timezone of the destination, used by the calendar export; needs startDate'),
+  llm: z.object({
+    provider: z.enum(PROVIDER_NAMES, { errorMap: () => ({ message: LLM_MESSAGE }) }).optional(),
+    model: z.string({ invalid_type_error: LLM_MESSAGE }).trim().min(1, LLM_MESSAGE).max(100, LLM_MESSAGE).optional()
+  }, { invalid_type_error: LLM_MESSAGE })
+    .strict()
+    .optional()
+    .describe('Provider and model for this job instead of the deployment default; models must be in LLM_ALLOWED_MODELS'),
+  cache: z.enum(['default', 'bypass'], { errorMap: () => ({ message: 'cache must be "default" or "bypass"' }) })
+    .optional()
+    .describe('"bypass" skips the cache lookup but still refreshes the cached entry'),
+  callbackUrl: z.string()
+    .superRefine((value, ctx) => {
+      const problem = validateCallbackUrl(value);
+      if (problem) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Callback URL ${problem}` });
+      }
+    })
+    .nullish()
+    .describe('Public https URL that receives a signed POST when the job completes or fails')
+}).strict().superRefine((body, ctx) => {
+  if (!body.destination && !body.stops) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['destination'], message: 'Destination is required unless stops are given' });
+  }
+
+  // Refinements also run when a field has failed its own checks, so the
+  // nights are only compared with a valid durationDays
+  if (body.stops && DurationDaysSchema.safeParse(body.durationDays).success) {
+    const totalNights = body.stops.reduce((sum, stop) => sum + stop.nights, 0);
+    if (totalNights !== body.durationDays) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['stops'],
+        message: `Nights must add up to durationDays (got ${totalNights}, expected ${body.durationDays})`
+      });
+    }
+  }
+
+  if (body.timezone && !body.startDate) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['timezone'], message: 'timezone can only be set together with startDate' });
+  }
+});
+
+// Stored itinerary: the generated days plus a geocoding result per activity
+const timestamp = z.string().datetime();
+
+export const GeoSchema = z.discriminatedUnion('status', [
+  z.object({
+    status: z.literal('resolved'),
+    lat: z.number(),
+    lon: z.number(),
+    precision: z.enum(['city', 'place']),
+    source: z.string().describe('Geocoder that resolved the location')
+  }),
+  z.object({
+    status: z.literal('unresolved'),
+    source: z.string()
+  })
+]);
+
+export const StoredDaySchema = DaySchema.extend({
+  activities: z.array(ActivitySchema.extend({
+    geo: GeoSchema.optional().describe('Only when a geocoder is configured')
+  })).min(1)
+});
+
+export const StoredItinerarySchema = z.array(StoredDaySchema);
+
+export const WebhookDeliverySchema = z.object({
+  status: z.enum(['pending', 'delivered', 'failed']),
+  deliveryId: z.string().optional(),
+  attempts: z.array(z.object({
+    attempt: z.number().int().positive(),
+    at: timestamp,
+    status: z.number().int().nullable().describe('HTTP status of the answer, null when none came'),
+    error: z.string().nullable()
+  })),
+  deliveredAt: timestamp.nullable().optional()
+});
+
+export const ErrorCodeSchema = z.enum(Object.keys(ERROR_CODES)).describe('Stable error code');
+
+export const JobErrorSchema = z.object({
+  code: ErrorCodeSchema,
+  message: z.string().describe('User-safe description'),
+  retryable: z.boolean().describe('Whether submitting the same request again may succeed')
+});
+
+// Job document returned by GET /v1/itineraries/:id
+export const JobSchema = z.object({
+  status: JobStatusSchema,
+  destination: z.string(),
+  durationDays: z.number().int(),
+  stops: StopsSchema.nullable(),
+  preferences: PreferencesSchema.nullable(),
+  startDate: z.string().nullable(),
+  timezone: z.string().nullable(),
+  ownerId: z.string().describe('Client that created the job'),
+  provider: z.string(),
+  model: z.string(),
+  source: z.enum(['llm', 'cache']),
+  cachedAt: timestamp.optional(),
+  createdAt: timestamp,
+  updatedAt: timestamp.optional(),
+  completedAt: timestamp.nullable(),
+  editedAt: timestamp.optional(),
+  cancelledAt: timestamp.optional(),
+  itinerary: StoredItinerarySchema.nullable().describe('Set once the job has completed'),
+  currentVersion: z.number().int().positive().optional(),
+  progress: z.object({
+    completedDays: z.number().int(),
+    totalDays: z.number().int(),
+    summary: z.string()
+  }),
+  geocoding: z.object({
+    resolved: z.number().int(),
+    unresolved: z.number().int(),
+    unresolvedLocations: z.array(z.string())
+  }).nullable().optional(),
+  repairAttempts: z.number().int(),
+  callbackUrl: z.string().nullable().optional(),
+  webhook: WebhookDeliverySchema.nullable().optional(),
+  queueAttempts: z.number().int().optional(),
+  startedAt: timestamp.nullable().optional().describe('When a queue consumer started the current run; null while the job waits in the queue'),
+  lastError: JobErrorSchema.optional().describe('Error of the latest queue attempt that will be retried'),
+  redriveCount: z.number().int().optional(),
+  redrivenAt: timestamp.optional(),
+  error: z.union([JobErrorSchema, z.string()])
+    .nullable()
+    .describe('Why a failed job failed; jobs that failed before error codes existed have a plain string')
+});
+
+// Error body of every 4xx and 5xx JSON response; only `error` is always set
+export const ErrorResponseSchema = z.object({
+  error: z.string(),
+  code: ErrorCodeSchema.optional().describe('Set on 500 responses'),
+  message: z.string().optional().describe('User-safe description of the code (500)'),
+  retryable: z.boolean().optional().describe('Whether retrying the request may succeed (500)'),
+  usage: z.string().optional().describe('Example of a correct request'),
+  status: JobStatusSchema.optional().describe('Current status of the job the request conflicts with'),
+  retryAfter: z.number().int().optional().describe('Seconds to wait before retrying (429)'),
+  allowedMethods: z.array(z.string()).optional().describe('Methods the path supports (405)'),
+  path: z.string().optional().describe('The unknown path (404)'),
+  issues: z.array(z.object({
+    path: z.string().describe('Dotted path of the field, e.g. "stops.1.nights"; empty for the body itself'),
+    code: z.string().describe("Zod issue code such as 'invalid_type', 'too_small' or 'unrecognized_keys', or 'invalid_json'"),
+    message: z.string()
+  })).optional().describe('Every problem with an invalid request body (400)')
+});
+
+export const CreateAcceptedSchema = z.object({
+  jobId: z.string(),
+  message: z.string()
+});
+
+export const CreateCachedSchema = z.object({
+  jobId: z.string(),
+  status: z.literal('completed'),
+  source: z.literal('cache'),
+  message: z.string()
+});
+
+export const CancelResponseSchema = z.object({
+  jobId: z.string(),
+  status: z.literal('cancelled'),
+  cancelledAt: timestamp
+});
+
+export const VersionSchema = z.object({
+  version: z.number().int().positive(),
+  reason: z.string().describe("'generated', 'cached' or the edit operation that produced it"),
+  createdAt: timestamp,
+  restoredFrom: z.number().int().positive().optional(),
+  itinerary: StoredItinerarySchema
+});
+
+export const VersionListSchema = z.object({
+  jobId: z.string(),
+  currentVersion: z.number().int().positive().nullable(),
+  versions: z.array(VersionSchema.omit({ itinerary: true }))
+});
+
+export const DiffSchema = z.object({
+  jobId: z.string(),
+  from: z.number().int().positive(),
+  to: z.number().int().positive(),
+  days: z.array(z.object({
+    day: z.number().int().positive(),
+    change: z.enum(['added', 'removed', 'changed']),
+    theme: z.object({ from: z.string(), to: z.string() }).optional(),
+    activities: z.array(z.object({
+      index: z.number().int().min(0),
+      change: z.enum(['added', 'removed', 'changed']),
+      fields: z.array(z.enum(['time', 'location', 'description', 'transit'])).optional().describe('Fields that differ'),
+      from: ActivitySchema.optional(),
+      to: ActivitySchema.optional()
+    })).optional()
+  })),
+  summary: z.object({
+    daysChanged: z.number().int(),
+    activitiesAdded: z.number().int(),
+    activitiesRemoved: z.number().int(),
+    activitiesChanged: z.number().int()
+  })
+});
+
+const checkResult = z.enum(['ok', 'error']);
+const featureState = z.enum(['enabled', 'disabled']);
+
+export const HealthSchema = z.object({
+  status: checkResult,
+  checks: z.object({
+    storage: checkResult,
+    llm: checkResult,
+    auth: checkResult,
+    geocoder: checkResult
+  }),
+  features: z.object({
+    queue: featureState,
+    cache: featureState,
+    rateLimits: featureState,
+    callbacks: featureState
+  })
+});
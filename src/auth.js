@@ -0,0 +1,85 @@
+// API key authentication. Keys are configured in the API_KEYS secret as a
+// JSON object mapping each client id to the SHA-256 hex digest of its key:
+//   { "acme-web": "9f86d081884c7d65...", "partner-app": "60303ae22b998861..." }
+// Only digests are stored, so the secret never contains a usable key.
+// Clients send their key as `Authorization: Bearer <key>` or `X-API-Key: <key>`.
+
+export const ANONYMOUS_CLIENT_ID = 'anonymous';
+
+// Raised when the deployment itself has no usable key configuration
+export class AuthConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthConfigError';
+  }
+}
+
+let parsedKeys = { source: null, digests: null };
+
+// digest -> client id, parsed once per isolate
+function loadKeyDigests(apiKeys) {
+  if (parsedKeys.source === apiKeys) {
+    return parsedKeys.digests;
+  }
+  
+  let clients;
+  try {
+    clients = JSON.parse(apiKeys);
+  } catch {
+    throw new AuthConfigError('API_KEYS must be a JSON object of client id to SHA-256 key digest');
+  }
+  if (!clients || typeof clients !== 'object' || Array.isArray(clients)) {
+    throw new AuthConfigError('API_KEYS must be a JSON object of client id to SHA-256 key digest');
+  }
+  
+  const digests = new Map();
+  for (const [clientId, digest] of Object.entries(clients)) {
+    digests.set(String(digest).toLowerCase(), clientId);
+  }
+  
+  parsedKeys = { source: apiKeys, digests };
+  return digests;
+}
+
+function readApiKey(request) {
+  const authorization = request.headers.get('Authorization');
+  if (authorization?.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return request.headers.get('X-API-Key')?.trim() || null;
+}
+
+async function sha256Hex(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// The calling client as { clientId }, or null if the request has no valid key.
+// With ALLOW_ANONYMOUS = "true" (local development) requests without a key
+// are accepted as the shared "anonymous" client.
+export async function authenticate(request, env) {
+  const apiKey = readApiKey(request);
+  
+  if (!apiKey) {
+    return env.ALLOW_ANONYMOUS === 'true' ? { clientId: ANONYMOUS_CLIENT_ID } : null;
+  }
+  
+  if (!env.API_KEYS) {
+    throw new AuthConfigError('API_KEYS not configured');
+  }
+  
+  const clientId = loadKeyDigests(env.API_KEYS).get(await sha256Hex(apiKey));
+  return clientId ? { clientId } : null;
+}
+
+// Throws AuthConfigError unless the deployment can authenticate clients at all
+// (API_KEYS parses, or anonymous access is on); used by the health check
+export function checkAuthConfig(env) {
+  if (env.API_KEYS) {
+    loadKeyDigests(env.API_KEYS);
+    return;
+  }
+  if (env.ALLOW_ANONYMOUS !== 'true') {
+    throw new AuthConfigError('API_KEYS not configured');
+  }
+}
@@ -0,0 +1,116 @@
+// Itinerary result cache. Identical requests (same destination, duration,
+// stops, preferences, start date and model) reuse a previously generated
+// itinerary instead of calling the LLM again.
+// Backed by Workers KV when ITINERARY_CACHE is bound, otherwise by a small
+// per-isolate in-memory cache.
+
+export const CACHE_CONFIG = {
+  ttlSeconds: 7 * 24 * 60 * 60, // 7 days
+  maxMemoryEntries: 100,
+  keyPrefix: 'itinerary:v1:'
+};
+
+const memoryEntries = new Map();
+
+function normaliseText(value) {
+  return value.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Stable form of the preferences: keys sorted, list entries normalised and
+// sorted, so the same preferences in a different order share a cache entry
+function normalisePreferences(preferences) {
+  if (!preferences) {
+    return null;
+  }
+  
+  const result = {};
+  for (const key of Object.keys(preferences).sort()) {
+    const value = preferences[key];
+    if (Array.isArray(value)) {
+      result[key] = [...new Set(value.map(normaliseText))].sort();
+    } else if (value && typeof value === 'object') {
+      result[key] = normalisePreferences(value);
+    } else if (value !== undefined) {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+// Everything that changes the generated itinerary goes into the fingerprint
+function fingerprint(job, provider) {
+  return JSON.stringify({
+    destination: normaliseText(job.destination),
+    durationDays: job.durationDays,
+    stops: job.stops?.map(stop => ({ city: normaliseText(stop.city), nights: stop.nights })) || null,
+    preferences: normalisePreferences(job.preferences),
+    startDate: job.startDate || null,
+    provider: provider.name,
+    model: provider.model
+  });
+}
+
+export async function createCacheKey(job, provider) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(fingerprint(job, provider)));
+  const hex = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${CACHE_CONFIG.keyPrefix}${hex}`;
+}
+
+function createKVCache(namespace, ttlSeconds) {
+  return {
+    name: 'kv',
+    
+    async get(key) {
+      return namespace.get(key, 'json');
+    },
+    
+    async put(key, entry) {
+      // KV rejects TTLs below 60 seconds
+      await namespace.put(key, JSON.stringify(entry), { expirationTtl: Math.max(ttlSeconds, 60) });
+    }
+  };
+}
+
+function createMemoryCache(ttlSeconds, entries = memoryEntries) {
+  return {
+    name: 'memory',
+    
+    async get(key) {
+      const cached = entries.get(key);
+      if (!cached) {
+        return null;
+      }
+      if (cached.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return JSON.parse(cached.value);
+    },
+    
+    async put(key, entry) {
+      entries.delete(key);
+      entries.set(key, { value: JSON.stringify(entry), expiresAt: Date.now() + ttlSeconds * 1000 });
+      
+      // Maps keep insertion order, so the first key is the oldest entry
+      while (entries.size > CACHE_CONFIG.maxMemoryEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    }
+  };
+}
+
+// Cache for this deployment, or null when caching is turned off
+// (ITINERARY_CACHE_TTL_SECONDS = "0")
+export function createItineraryCache(env) {
+  const ttlSeconds = env.ITINERARY_CACHE_TTL_SECONDS !== undefined
+    ? Number(env.ITINERARY_CACHE_TTL_SECONDS)
+    : CACHE_CONFIG.ttlSeconds;
+  
+  if (!Number.isFinite(ttlSeconds) || ttlSeconds <= 0) {
+    return null;
+  }
+  
+  return env.ITINERARY_CACHE
+    ? createKVCache(env.ITINERARY_CACHE, ttlSeconds)
+    : createMemoryCache(ttlSeconds);
+}
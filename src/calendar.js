@@ -0,0 +1,51 @@
+// Calendar helpers for itineraries with a real start date.
+// Dates are plain ISO calendar dates (YYYY-MM-DD); arithmetic is done in UTC
+// so it never shifts across daylight-saving changes.
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+export const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseISODate(isoDate) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+// True for a well-formed date that exists on the calendar (rejects 2025-02-30)
+export function isValidISODate(value) {
+  if (typeof value !== 'string' || !ISO_DATE_PATTERN.test(value)) {
+    return false;
+  }
+  return parseISODate(value).toISOString().slice(0, 10) === value;
+}
+
+// True for an IANA timezone name the runtime knows about
+export function isValidTimezone(value) {
+  if (typeof value !== 'string' || value.length === 0) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function addDays(isoDate, days) {
+  const date = parseISODate(isoDate);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+export function weekdayOf(isoDate) {
+  return WEEKDAYS[parseISODate(isoDate).getUTCDay()];
+}
+
+// One entry per trip day: { day, date, weekday }
+export function buildCalendar(startDate, durationDays) {
+  return Array.from({ length: durationDays }, (_, i) => {
+    const date = addDays(startDate, i);
+    return { day: i + 1, date, weekday: weekdayOf(date) };
+  });
+}
@@ -0,0 +1,83 @@
+// Job cancellation. DELETE /itineraries/:id flips a processing job to
+// 'cancelled' in storage; the generation run notices through its
+// cancellation token, aborts the in-flight LLM request and stops before
+// writing anything else. The DELETE may land in a different isolate from the
+// run, so the token polls the job's status as well as listening for a local abort.
+
+export const CANCEL_CONFIG = {
+  pollIntervalMs: 5000
+};
+
+// Thrown inside a generation run once its job has been cancelled
+export class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Job ${jobId} was cancelled`);
+    this.name = 'JobCancelledError';
+    this.jobId = jobId;
+  }
+}
+
+// Abort controllers of the runs in this isolate, by job id
+const activeRuns = new Map();
+
+// Abort a run in this isolate straight away instead of waiting for its next
+// poll. Returns false if the job isn't running here.
+export function abortLocalJob(jobId) {
+  const controller = activeRuns.get(jobId);
+  if (!controller) {
+    return false;
+  }
+  controller.abort(new JobCancelledError(jobId));
+  return true;
+}
+
+// Cancellation token for one run:
+//   signal       - AbortSignal for the provider's fetch
+//   checkpoint() - throws JobCancelledError if the job has been cancelled,
+//                  never because the status couldn't be read
+//   stop()       - stop polling; call when the run ends either way
+export function createCancellationToken(jobId, repository, { pollIntervalMs = CANCEL_CONFIG.pollIntervalMs } = {}) {
+  const controller = new AbortController();
+  activeRuns.set(jobId, controller);
+
+  async function refresh() {
+    const job = await repository.get(jobId);
+    if (job?.status === 'cancelled' && !controller.signal.aborted) {
+      console.log(`🛑 Job ${jobId} was cancelled, aborting generation`);
+      controller.abort(new JobCancelledError(jobId));
+    }
+  }
+
+  // A failed read is only logged: the next poll or checkpoint reads again, and
+  // the final write is conditional on the job still processing anyway
+  async function tryRefresh() {
+    try {
+      await refresh();
+    } catch (error) {
+      console.error(`Cancellation check failed for job ${jobId}:`, error);
+    }
+  }
+
+  const timer = setInterval(tryRefresh, pollIntervalMs);
+
+  return {
+    jobId,
+    signal: controller.signal,
+
+    async checkpoint() {
+      if (!controller.signal.aborted) {
+        await tryRefresh();
+      }
+      if (controller.signal.aborted) {
+        throw new JobCancelledError(jobId);
+      }
+    },
+
+    stop() {
+      clearInterval(timer);
+      if (activeRuns.get(jobId) === controller) {
+        activeRuns.delete(jobId);
+      }
+    }
+  };
+}
@@ -0,0 +1,77 @@
+// Local gazetteer for the default geocoder: city centres and well-known
+// places, with WGS 84 coordinates. Extend it with the places your users
+// travel to; `aliases` are alternative spellings matched the same way.
+
+export const GAZETTEER = [
+  // Paris
+  { name: 'Paris', city: 'Paris', country: 'France', type: 'city', lat: 48.8566, lon: 2.3522 },
+  { name: 'Eiffel Tower', aliases: ['Tour Eiffel'], city: 'Paris', country: 'France', lat: 48.8584, lon: 2.2945 },
+  { name: 'Louvre Museum', aliases: ['Louvre', 'Musée du Louvre'], city: 'Paris', country: 'France', lat: 48.8606, lon: 2.3376 },
+  { name: 'Notre-Dame Cathedral', aliases: ['Notre-Dame', 'Notre-Dame de Paris'], city: 'Paris', country: 'France', lat: 48.8530, lon: 2.3499 },
+  { name: "Musée d'Orsay", aliases: ['Orsay Museum'], city: 'Paris', country: 'France', lat: 48.8600, lon: 2.3266 },
+  { name: 'Sacré-Cœur', aliases: ['Sacre Coeur Basilica', 'Basilica of the Sacred Heart'], city: 'Paris', country: 'France', lat: 48.8867, lon: 2.3431 },
+  { name: 'Montmartre', city: 'Paris', country: 'France', lat: 48.8862, lon: 2.3404 },
+  { name: 'Arc de Triomphe', city: 'Paris', country: 'France', lat: 48.8738, lon: 2.2950 },
+  { name: 'Latin Quarter', aliases: ['Quartier Latin'], city: 'Paris', country: 'France', lat: 48.8493, lon: 2.3470 },
+  { name: 'Île de la Cité', city: 'Paris', country: 'France', lat: 48.8546, lon: 2.3477 },
+  
+  // London
+  { name: 'London', city: 'London', country: 'United Kingdom', type: 'city', lat: 51.5074, lon: -0.1278 },
+  { name: 'British Museum', city: 'London', country: 'United Kingdom', lat: 51.5194, lon: -0.1270 },
+  { name: 'Tower of London', city: 'London', country: 'United Kingdom', lat: 51.5081, lon: -0.0759 },
+  { name: 'Tower Bridge', city: 'London', country: 'United Kingdom', lat: 51.5055, lon: -0.0754 },
+  { name: 'Buckingham Palace', city: 'London', country: 'United Kingdom', lat: 51.5014, lon: -0.1419 },
+  { name: 'Westminster Abbey', city: 'London', country: 'United Kingdom', lat: 51.4993, lon: -0.1273 },
+  { name: 'Borough Market', city: 'London', country: 'United Kingdom', lat: 51.5055, lon: -0.0910 },
+  { name: 'Hyde Park', city: 'London', country: 'United Kingdom', lat: 51.5073, lon: -0.1657 },
+  
+  // Rome
+  { name: 'Rome', aliases: ['Roma'], city: 'Rome', country: 'Italy', type: 'city', lat: 41.9028, lon: 12.4964 },
+  { name: 'Colosseum', aliases: ['Colosseo'], city: 'Rome', country: 'Italy', lat: 41.8902, lon: 12.4922 },
+  { name: 'Roman Forum', aliases: ['Foro Romano'], city: 'Rome', country: 'Italy', lat: 41.8925, lon: 12.4853 },
+  { name: 'Pantheon', city: 'Rome', country: 'Italy', lat: 41.8986, lon: 12.4769 },
+  { name: 'Trevi Fountain', aliases: ['Fontana di Trevi'], city: 'Rome', country: 'Italy', lat: 41.9009, lon: 12.4833 },
+  { name: 'Spanish Steps', city: 'Rome', country: 'Italy', lat: 41.9060, lon: 12.4828 },
+  { name: 'Vatican Museums', aliases: ['Musei Vaticani'], city: 'Rome', country: 'Italy', lat: 41.9065, lon: 12.4536 },
+  { name: "St. Peter's Basilica", aliases: ["Saint Peter's Basilica"], city: 'Rome', country: 'Italy', lat: 41.9022, lon: 12.4539 },
+  { name: 'Trastevere', city: 'Rome', country: 'Italy', lat: 41.8897, lon: 12.4700 },
+  
+  // Florence
+  { name: 'Florence', aliases: ['Firenze'], city: 'Florence', country: 'Italy', type: 'city', lat: 43.7696, lon: 11.2558 },
+  { name: 'Uffizi Gallery', aliases: ['Uffizi'], city: 'Florence', country: 'Italy', lat: 43.7678, lon: 11.2553 },
+  { name: 'Florence Cathedral', aliases: ['Duomo', 'Il Duomo di Firenze'], city: 'Florence', country: 'Italy', lat: 43.7731, lon: 11.2560 },
+  { name: 'Ponte Vecchio', city: 'Florence', country: 'Italy', lat: 43.7680, lon: 11.2531 },
+  { name: 'Piazzale Michelangelo', city: 'Florence', country: 'Italy', lat: 43.7629, lon: 11.2650 },
+  
+  // Barcelona
+  { name: 'Barcelona', city: 'Barcelona', country: 'Spain', type: 'city', lat: 41.3874, lon: 2.1686 },
+  { name: 'Sagrada Família', aliases: ['La Sagrada Familia'], city: 'Barcelona', country: 'Spain', lat: 41.4036, lon: 2.1744 },
+  { name: 'Park Güell', city: 'Barcelona', country: 'Spain', lat: 41.4145, lon: 2.1527 },
+  { name: 'La Rambla', aliases: ['Las Ramblas'], city: 'Barcelona', country: 'Spain', lat: 41.3809, lon: 2.1734 },
+  { name: 'Gothic Quarter', aliases: ['Barri Gòtic'], city: 'Barcelona', country: 'Spain', lat: 41.3833, lon: 2.1777 },
+  { name: 'Casa Batlló', city: 'Barcelona', country: 'Spain', lat: 41.3916, lon: 2.1649 },
+  
+  // Amsterdam
+  { name: 'Amsterdam', city: 'Amsterdam', country: 'Netherlands', type: 'city', lat: 52.3676, lon: 4.9041 },
+  { name: 'Rijksmuseum', city: 'Amsterdam', country: 'Netherlands', lat: 52.3600, lon: 4.8852 },
+  { name: 'Van Gogh Museum', city: 'Amsterdam', country: 'Netherlands', lat: 52.3584, lon: 4.8811 },
+  { name: 'Anne Frank House', city: 'Amsterdam', country: 'Netherlands', lat: 52.3752, lon: 4.8840 },
+  
+  // Tokyo
+  { name: 'Tokyo', city: 'Tokyo', country: 'Japan', type: 'city', lat: 35.6762, lon: 139.6503 },
+  { name: 'Senso-ji', aliases: ['Sensoji Temple', 'Senso-ji Temple'], city: 'Tokyo', country: 'Japan', lat: 35.7148, lon: 139.7967 },
+  { name: 'Meiji Jingu', aliases: ['Meiji Shrine'], city: 'Tokyo', country: 'Japan', lat: 35.6764, lon: 139.6993 },
+  { name: 'Shibuya Crossing', city: 'Tokyo', country: 'Japan', lat: 35.6595, lon: 139.7005 },
+  { name: 'Tokyo Skytree', city: 'Tokyo', country: 'Japan', lat: 35.7101, lon: 139.8107 },
+  { name: 'Tsukiji Outer Market', city: 'Tokyo', country: 'Japan', lat: 35.6654, lon: 139.7707 },
+  { name: 'Shinjuku Gyoen', aliases: ['Shinjuku Gyoen National Garden'], city: 'Tokyo', country: 'Japan', lat: 35.6852, lon: 139.7100 },
+  
+  // New York
+  { name: 'New York', aliases: ['New York City', 'NYC'], city: 'New York', country: 'United States', type: 'city', lat: 40.7128, lon: -74.0060 },
+  { name: 'Central Park', city: 'New York', country: 'United States', lat: 40.7812, lon: -73.9665 },
+  { name: 'Statue of Liberty', city: 'New York', country: 'United States', lat: 40.6892, lon: -74.0445 },
+  { name: 'Metropolitan Museum of Art', aliases: ['The Met'], city: 'New York', country: 'United States', lat: 40.7794, lon: -73.9632 },
+  { name: 'Times Square', city: 'New York', country: 'United States', lat: 40.7580, lon: -73.9855 },
+  { name: 'Brooklyn Bridge', city: 'New York', country: 'United States', lat: 40.7061, lon: -73.9969 },
+  { name: 'Empire State Building', city: 'New York', country: 'United States', lat: 40.7484, lon: -73.9857 }
+];
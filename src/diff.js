@@ -0,0 +1,76 @@
+// Structured diff between two itinerary versions. Days are matched by day
+// number and activities by position within the day; only differences are
+// listed. Geocoding results (`geo`) are derived data and are ignored.
+
+const ACTIVITY_FIELDS = ['time', 'location', 'description', 'transit'];
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function withoutGeo({ geo, ...activity }) {
+  return activity;
+}
+
+function diffActivities(fromActivities, toActivities) {
+  const changes = [];
+  const count = Math.max(fromActivities.length, toActivities.length);
+  
+  for (let index = 0; index < count; index++) {
+    const before = fromActivities[index];
+    const after = toActivities[index];
+    
+    if (!before) {
+      changes.push({ index, change: 'added', to: withoutGeo(after) });
+    } else if (!after) {
+      changes.push({ index, change: 'removed', from: withoutGeo(before) });
+    } else {
+      const fields = ACTIVITY_FIELDS.filter(field => !sameValue(before[field], after[field]));
+      if (fields.length) {
+        changes.push({ index, change: 'changed', fields, from: withoutGeo(before), to: withoutGeo(after) });
+      }
+    }
+  }
+  
+  return changes;
+}
+
+// { days: [...], summary } describing how `toItinerary` differs from `fromItinerary`
+export function diffItineraries(fromItinerary, toItinerary) {
+  const fromDays = new Map(fromItinerary.map(day => [day.day, day]));
+  const toDays = new Map(toItinerary.map(day => [day.day, day]));
+  const dayNumbers = [...new Set([...fromDays.keys(), ...toDays.keys()])].sort((a, b) => a - b);
+  
+  const days = [];
+  for (const number of dayNumbers) {
+    const before = fromDays.get(number);
+    const after = toDays.get(number);
+    
+    if (!before || !after) {
+      days.push({ day: number, change: before ? 'removed' : 'added' });
+      continue;
+    }
+    
+    const activities = diffActivities(before.activities, after.activities);
+    const themeChanged = before.theme !== after.theme;
+    if (themeChanged || activities.length) {
+      days.push({
+        day: number,
+        change: 'changed',
+        ...(themeChanged ? { theme: { from: before.theme, to: after.theme } } : {}),
+        activities
+      });
+    }
+  }
+  
+  const activityChanges = days.flatMap(day => day.activities || []);
+  return {
+    days,
+    summary: {
+      daysChanged: days.length,
+      activitiesAdded: activityChanges.filter(change => change.change === 'added').length,
+      activitiesRemoved: activityChanges.filter(change => change.change === 'removed').length,
+      activitiesChanged: activityChanges.filter(change => change.change === 'changed').length
+    }
+  };
+}
@@ -0,0 +1,102 @@
+import { AuthConfigError } from './auth.js';
+import { PROVIDER_ERROR_CODES, ProviderConfigError, ProviderError } from './providers.js';
+import { QueueUnavailableError } from './queue.js';
+import { StorageConfigError, StorageUnavailableError } from './storage/index.js';
+
+// Error taxonomy. Failed jobs and 500 responses carry one of these stable
+// codes with its user-safe message instead of the error's own text, which
+// can contain provider responses, model output or storage details. The full
+// error only goes to the logs.
+
+export const ERROR_CODES = {
+  LLM_RATE_LIMITED: { message: 'The AI provider is rate limiting requests', retryable: true },
+  LLM_QUOTA_EXCEEDED: { message: 'The AI provider quota for this deployment is used up', retryable: false },
+  LLM_UNAVAILABLE: { message: 'The AI provider is unavailable', retryable: true },
+  LLM_AUTH_FAILED: { message: 'The AI provider rejected this deployment\'s credentials', retryable: false },
+  LLM_REQUEST_REJECTED: { message: 'The AI provider rejected the request', retryable: false },
+  LLM_INVALID_OUTPUT: { message: 'The AI provider did not return a valid itinerary', retryable: true },
+  LLM_CONFIG_INVALID: { message: 'The AI provider is not configured correctly', retryable: false },
+  STORAGE_UNAVAILABLE: { message: 'Job storage is unavailable', retryable: true },
+  STORAGE_CONFIG_INVALID: { message: 'Job storage is not configured correctly', retryable: false },
+  AUTH_CONFIG_INVALID: { message: 'Authentication is not configured correctly', retryable: false },
+  QUEUE_UNAVAILABLE: { message: 'The job could not be queued', retryable: true },
+  JOB_RETRIES_EXHAUSTED: { message: 'Generation kept failing and was given up', retryable: true },
+  JOB_TIMED_OUT: { message: 'Generation stopped making progress and timed out', retryable: true },
+  INTERNAL_ERROR: { message: 'Something went wrong on our side', retryable: false }
+};
+
+// The model's output could not be used: unparseable JSON, a schema violation
+// or a day/date/city plan mismatch. `issues` lists every problem found so a
+// repair request can address all of them at once.
+export class InvalidOutputError extends Error {
+  constructor(message, issues = [message]) {
+    super(message);
+    this.name = 'InvalidOutputError';
+    this.issues = issues;
+  }
+}
+
+const PROVIDER_CODES = {
+  [PROVIDER_ERROR_CODES.RATE_LIMITED]: 'LLM_RATE_LIMITED',
+  [PROVIDER_ERROR_CODES.QUOTA_EXCEEDED]: 'LLM_QUOTA_EXCEEDED',
+  [PROVIDER_ERROR_CODES.SERVER_ERROR]: 'LLM_UNAVAILABLE',
+  [PROVIDER_ERROR_CODES.UNAVAILABLE]: 'LLM_UNAVAILABLE',
+  [PROVIDER_ERROR_CODES.AUTH]: 'LLM_AUTH_FAILED',
+  [PROVIDER_ERROR_CODES.CONTEXT_LENGTH]: 'LLM_REQUEST_REJECTED',
+  [PROVIDER_ERROR_CODES.BAD_REQUEST]: 'LLM_REQUEST_REJECTED'
+};
+
+function codeOf(error) {
+  if (error instanceof ProviderError) {
+    return PROVIDER_CODES[error.code] || 'LLM_REQUEST_REJECTED';
+  }
+  if (error instanceof ProviderConfigError) {
+    return 'LLM_CONFIG_INVALID';
+  }
+  if (error instanceof InvalidOutputError) {
+    return 'LLM_INVALID_OUTPUT';
+  }
+  if (error instanceof StorageUnavailableError) {
+    return 'STORAGE_UNAVAILABLE';
+  }
+  if (error instanceof StorageConfigError) {
+    return 'STORAGE_CONFIG_INVALID';
+  }
+  if (error instanceof AuthConfigError) {
+    return 'AUTH_CONFIG_INVALID';
+  }
+  if (error instanceof QueueUnavailableError) {
+    return 'QUEUE_UNAVAILABLE';
+  }
+  return null;
+}
+
+// Code for an error, looking through wrapping errors' `cause` chain, e.g.
+// "Failed to generate itinerary after 4 attempts" wrapping a ProviderError
+export function classifyError(error) {
+  for (let current = error; current; current = current.cause) {
+    const code = codeOf(current);
+    if (code) {
+      return code;
+    }
+  }
+  return 'INTERNAL_ERROR';
+}
+
+// The { code, message, retryable } stored as a failed job's `error`.
+// `message` replaces the default for codes whose message needs a detail that
+// is safe to show, like the reaper's timeout.
+export function toJobError(code, message = ERROR_CODES[code].message) {
+  return { code, message, retryable: ERROR_CODES[code].retryable };
+}
+
+// The job error for a caught error
+export function describeError(error) {
+  return toJobError(classifyError(error));
+}
+
+// Whether generation retries an error, going by its code, so what runs is
+// what a failed job's `retryable` says
+export function isRetryableError(error) {
+  return ERROR_CODES[classifyError(error)].retryable;
+}
@@ -0,0 +1,158 @@
+import { GAZETTEER } from './data/gazetteer.js';
+import { cityKey } from './stops.js';
+
+// Geocoding of activity locations after an itinerary has been validated.
+// Geocoders share one interface:
+//   { name, geocode(query, { city }) -> { lat, lon, precision } | null }
+// where `city` is the city the activity happens in (day city or destination).
+// Places a geocoder can't resolve are kept and flagged, never dropped.
+
+export const GEOCODER_NAMES = ['gazetteer', 'stub', 'none'];
+
+// Lowercase, accents and punctuation stripped: "Musée d'Orsay" -> "musee d orsay"
+export function normalisePlace(value) {
+  return value
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .replace(/^the /, '');
+}
+
+function createGazetteerGeocoder(entries = GAZETTEER) {
+  // normalised name or alias -> entries with that name
+  const index = new Map();
+  for (const entry of entries) {
+    for (const name of [entry.name, ...(entry.aliases || [])]) {
+      const key = normalisePlace(name);
+      index.set(key, [...(index.get(key) || []), entry]);
+    }
+  }
+  
+  const inCity = (entry, city) => city && cityKey(entry.city) === cityKey(city);
+  const toResult = entry => ({ lat: entry.lat, lon: entry.lon, precision: entry.type === 'city' ? 'city' : 'place' });
+  
+  return {
+    name: 'gazetteer',
+    
+    async geocode(query, { city } = {}) {
+      // "Louvre Museum, Paris" is tried whole, then as "Louvre Museum". With
+      // a known city, a place elsewhere ("Hyde Park" on a Sydney trip) is no
+      // match; only a city named by the query itself may be in another city.
+      const candidates = [query, query.split(',')[0]].map(normalisePlace);
+      
+      for (const candidate of candidates) {
+        const matches = index.get(candidate) || [];
+        const entry = city
+          ? matches.find(match => inCity(match, city)) || matches.find(match => match.type === 'city')
+          : matches[0];
+        if (entry) {
+          return toResult(entry);
+        }
+      }
+      
+      // Otherwise the longest known place in this city named inside the
+      // query, e.g. "Sunset walk to Piazzale Michelangelo"
+      const padded = ` ${candidates[0]} `;
+      let best = null;
+      for (const [name, matches] of index) {
+        const entry = matches.find(match => match.type !== 'city' && inCity(match, city));
+        if (entry && padded.includes(` ${name} `) && (!best || name.length > best.name.length)) {
+          best = { name, entry };
+        }
+      }
+      return best ? toResult(best.entry) : null;
+    }
+  };
+}
+
+// Deterministic fake coordinates for tests and local development. Places
+// with "unknown" in their name stay unresolved.
+function createStubGeocoder() {
+  return {
+    name: 'stub',
+    
+    async geocode(query) {
+      const key = normalisePlace(query);
+      if (key.includes('unknown')) {
+        return null;
+      }
+      
+      let hash = 0;
+      for (const char of key) {
+        hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+      }
+      return {
+        lat: Math.round(((hash % 12000) / 100 - 60) * 10000) / 10000,
+        lon: Math.round((((hash >>> 8) % 36000) / 100 - 180) * 10000) / 10000,
+        precision: 'place'
+      };
+    }
+  };
+}
+
+// Geocoder for this deployment from GEOCODER (default: gazetteer), or null
+// when geocoding is turned off
+export function createGeocoder(env) {
+  const name = env.GEOCODER || 'gazetteer';
+  
+  switch (name) {
+    case 'gazetteer':
+      return createGazetteerGeocoder();
+    case 'stub':
+      return createStubGeocoder();
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown GEOCODER '${name}'. Expected one of: ${GEOCODER_NAMES.join(', ')}`);
+  }
+}
+
+// Copy of the itinerary with a `geo` object on every activity:
+// { status: 'resolved', lat, lon, precision, source } or { status: 'unresolved', source }
+export async function geocodeItinerary(itinerary, job, geocoder) {
+  const lookups = new Map();
+  
+  async function lookup(location, city) {
+    const key = `${location}\n${city}`;
+    if (!lookups.has(key)) {
+      lookups.set(key, geocoder.geocode(location, { city }).catch(error => {
+        // A failed lookup is treated like an unknown place
+        console.error(`Geocoding failed for "${location}":`, error);
+        return null;
+      }));
+    }
+    return lookups.get(key);
+  }
+  
+  const geocoded = [];
+  for (const day of itinerary) {
+    const city = day.city || job.destination;
+    const activities = [];
+    for (const activity of day.activities) {
+      const result = await lookup(activity.location, city);
+      activities.push({
+        ...activity,
+        geo: result
+          ? { status: 'resolved', lat: result.lat, lon: result.lon, precision: result.precision, source: geocoder.name }
+          : { status: 'unresolved', source: geocoder.name }
+      });
+    }
+    geocoded.push({ ...day, activities });
+  }
+  
+  return geocoded;
+}
+
+// Resolved/unresolved counts for the job document
+export function summariseGeocoding(itinerary) {
+  const activities = itinerary.flatMap(day => day.activities).filter(activity => activity.geo);
+  const unresolved = activities.filter(activity => activity.geo.status !== 'resolved');
+  return {
+    resolved: activities.length - unresolved.length,
+    unresolved: unresolved.length,
+    unresolvedLocations: [...new Set(unresolved.map(activity => activity.location))]
+  };
+}
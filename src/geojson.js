@@ -0,0 +1,72 @@
+// GeoJSON (RFC 7946) export of a geocoded itinerary: one Point feature per
+// activity and one LineString per day joining its activities in order.
+// Unresolved activities are still listed, with a null geometry and
+// `unresolved: true`, so clients can show what is missing from the map.
+
+function activityFeature(day, activity, index) {
+  const resolved = activity.geo?.status === 'resolved';
+  return {
+    type: 'Feature',
+    geometry: resolved ? { type: 'Point', coordinates: [activity.geo.lon, activity.geo.lat] } : null,
+    properties: {
+      kind: 'activity',
+      day: day.day,
+      date: day.date || null,
+      city: day.city || null,
+      theme: day.theme,
+      order: index + 1,
+      time: activity.time,
+      location: activity.location,
+      description: activity.description,
+      precision: resolved ? activity.geo.precision : null,
+      unresolved: !resolved
+    }
+  };
+}
+
+// Route for one day, or null if fewer than two of its stops are on the map
+function dayRouteFeature(day) {
+  const coordinates = day.activities
+    .filter(activity => activity.geo?.status === 'resolved')
+    .map(activity => [activity.geo.lon, activity.geo.lat]);
+  
+  if (coordinates.length < 2) {
+    return null;
+  }
+  
+  return {
+    type: 'Feature',
+    geometry: { type: 'LineString', coordinates },
+    properties: {
+      kind: 'route',
+      day: day.day,
+      date: day.date || null,
+      city: day.city || null,
+      theme: day.theme
+    }
+  };
+}
+
+export function buildGeoJSON(jobId, job) {
+  const features = [];
+  
+  for (const day of job.itinerary) {
+    day.activities.forEach((activity, index) => {
+      features.push(activityFeature(day, activity, index));
+    });
+    const route = dayRouteFeature(day);
+    if (route) {
+      features.push(route);
+    }
+  }
+  
+  return {
+    type: 'FeatureCollection',
+    properties: {
+      jobId,
+      destination: job.destination,
+      durationDays: job.durationDays
+    },
+    features
+  };
+}
@@ -0,0 +1,206 @@
+import { addDays } from './calendar.js';
+
+// iCalendar (RFC 5545) export of a completed itinerary. Every activity
+// becomes a VEVENT; the model's time slots (Morning, Afternoon, Evening) are
+// mapped onto time windows, and activities sharing a slot on the same day
+// split its window evenly. Unrecognised slots become all-day events.
+
+export const ICS_CONFIG = {
+  timeWindows: {
+    Morning: '09:00-12:00',
+    Afternoon: '13:00-17:00',
+    Evening: '18:00-21:00'
+  }
+};
+
+const WINDOW_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Default windows, overridden per slot by ICS_TIME_WINDOWS, e.g.
+// { "Morning": "08:30-12:00", "Night": "21:00-23:00" }
+export function resolveTimeWindows(env) {
+  const configured = { ...ICS_CONFIG.timeWindows };
+  
+  if (env.ICS_TIME_WINDOWS) {
+    try {
+      Object.assign(configured, JSON.parse(env.ICS_TIME_WINDOWS));
+    } catch (error) {
+      console.error('Ignoring invalid ICS_TIME_WINDOWS:', error);
+    }
+  }
+  
+  const windows = {};
+  for (const [slot, range] of Object.entries(configured)) {
+    const match = typeof range === 'string' && range.match(WINDOW_PATTERN);
+    if (!match) {
+      console.error(`Ignoring invalid time window for ${slot}: ${range}`);
+      continue;
+    }
+    const start = Number(match[1]) * 60 + Number(match[2]);
+    const end = Number(match[3]) * 60 + Number(match[4]);
+    if (end > start) {
+      windows[slot.toLowerCase()] = { start, end };
+    }
+  }
+  return windows;
+}
+
+// "Morning" and "Early morning" both fall into the morning window
+function findWindow(windows, time) {
+  const slot = time.trim().toLowerCase();
+  if (windows[slot]) {
+    return windows[slot];
+  }
+  const key = Object.keys(windows).find(name => slot.includes(name));
+  return key ? windows[key] : null;
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting
+// with a space, without splitting a multi-byte character
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    const limit = parts.length === 0 ? 75 : 74;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  
+  return parts.join('\r\n ');
+}
+
+function formatDate(isoDate) {
+  return isoDate.replace(/-/g, '');
+}
+
+function formatDateTime(isoDate, minutes) {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const mins = String(minutes % 60).padStart(2, '0');
+  return `${formatDate(isoDate)}T${hours}${mins}00`;
+}
+
+function formatTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Milliseconds the timezone is ahead of UTC at the given instant
+function timezoneOffset(timestamp, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(timestamp));
+  const value = type => Number(parts.find(part => part.type === type).value);
+  const local = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+  return local - Math.floor(timestamp / 1000) * 1000;
+}
+
+// UTC timestamp ("...Z") of a wall-clock time in the timezone. The offset is
+// looked up twice so times near a daylight-saving change use the right one.
+function formatZonedDateTime(isoDate, minutes, timezone) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  let timestamp = wallClock - timezoneOffset(wallClock, timezone);
+  timestamp = wallClock - timezoneOffset(timestamp, timezone);
+  return formatTimestamp(new Date(timestamp));
+}
+
+function describeActivity(day, activity) {
+  const lines = [`Day ${day.day}: ${day.theme}`, '', activity.description];
+  if (activity.transit) {
+    const { mode, from, to, durationMinutes } = activity.transit;
+    lines.push('', `${mode} from ${from} to ${to} (about ${durationMinutes} min)`);
+  }
+  return lines.join('\n');
+}
+
+// Start/end properties for one activity: the trip timezone's wall-clock time
+// converted to UTC when it has one, so calendar apps don't need a VTIMEZONE
+// definition, and floating (wall-clock) time otherwise
+function eventTiming(date, window, index, count, timezone) {
+  if (!window) {
+    return [
+      `DTSTART;VALUE=DATE:${formatDate(date)}`,
+      `DTEND;VALUE=DATE:${formatDate(addDays(date, 1))}`
+    ];
+  }
+  
+  const share = Math.floor((window.end - window.start) / count);
+  const start = window.start + share * index;
+  const end = index === count - 1 ? window.end : start + share;
+  const format = timezone ? formatZonedDateTime : formatDateTime;
+  return [
+    `DTSTART:${format(date, start, timezone)}`,
+    `DTEND:${format(date, end, timezone)}`
+  ];
+}
+
+// Calendar text for a job's itinerary. startDate is the date of day 1 for
+// itineraries whose days carry no dates of their own.
+export function buildICalendar(jobId, job, { startDate, timeWindows }) {
+  const stamp = formatTimestamp(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//AI Itinerary Generator//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`${job.destination} (${job.durationDays} days)`)}`
+  ];
+  if (job.timezone) {
+    lines.push(`X-WR-TIMEZONE:${job.timezone}`);
+  }
+  
+  for (const day of job.itinerary) {
+    const date = day.date || addDays(startDate, day.day - 1);
+    
+    // Activities per time window, so a shared window can be split between them
+    const slotCounts = new Map();
+    const slotIndexes = day.activities.map(activity => {
+      const window = findWindow(timeWindows, activity.time);
+      const index = slotCounts.get(window) || 0;
+      slotCounts.set(window, index + 1);
+      return { window, index };
+    });
+    
+    day.activities.forEach((activity, i) => {
+      const { window, index } = slotIndexes[i];
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${jobId}-day${day.day}-${i + 1}@itinerary-generator`,
+        `DTSTAMP:${stamp}`,
+        ...eventTiming(date, window, index, slotCounts.get(window), job.timezone),
+        `SUMMARY:${escapeText(activity.location)}`,
+        `LOCATION:${escapeText(activity.location)}`,
+        `DESCRIPTION:${escapeText(describeActivity(day, activity))}`,
+        `CATEGORIES:${escapeText(day.theme)}`,
+        'END:VEVENT'
+      );
+    });
+  }
+  
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
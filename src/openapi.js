@@ -0,0 +1,211 @@
+import { zodToJsonSchema } from 'zod-to-json-schema';
+import { EditRequestSchema } from './schemas.js';
+import {
+  CancelResponseSchema,
+  CreateAcceptedSchema,
+  CreateCachedSchema,
+  CreateItineraryRequestSchema,
+  DiffSchema,
+  ErrorResponseSchema,
+  HealthSchema,
+  JobSchema,
+  JobStatusSchema,
+  StoredItinerarySchema,
+  VersionListSchema,
+  VersionSchema
+} from './api-schemas.js';
+
+// OpenAPI 3.0 document for GET /openapi.json, built from the Zod schemas in
+// api-schemas.js. Only the /v1 routes are described; the deprecated aliases
+// are left out on purpose.
+
+export const OPENAPI_INFO = {
+  title: 'AI Itinerary Generator API',
+  version: '1.0.0',
+  description: 'Generates day-by-day travel itineraries with an LLM. Generation is asynchronous: POST a request, then poll the job until it is completed, failed or cancelled.'
+};
+
+const COMPONENT_SCHEMAS = {
+  CreateItineraryRequest: CreateItineraryRequestSchema,
+  EditRequest: EditRequestSchema,
+  JobStatus: JobStatusSchema,
+  Job: JobSchema,
+  Itinerary: StoredItinerarySchema,
+  CreateAccepted: CreateAcceptedSchema,
+  CreateCached: CreateCachedSchema,
+  CancelResponse: CancelResponseSchema,
+  Version: VersionSchema,
+  VersionList: VersionListSchema,
+  Diff: DiffSchema,
+  Health: HealthSchema,
+  Error: ErrorResponseSchema
+};
+
+// Each component is inlined on its own, so components never point at each other
+function toOpenAPISchema(schema) {
+  const { $schema, ...openAPISchema } = zodToJsonSchema(schema, { target: 'openApi3', $refStrategy: 'none' });
+  return openAPISchema;
+}
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const json = (description, name) => ({ description, content: { 'application/json': { schema: ref(name) } } });
+
+const ERROR_RESPONSES = {
+  400: json('Invalid request; invalid bodies list every problem in `issues`', 'Error'),
+  401: json('Missing or invalid API key', 'Error'),
+  404: json('Job not found', 'Error'),
+  409: json('The job is not in a status that allows this', 'Error'),
+  415: json('Content-Type is not application/json', 'Error'),
+  429: json('Rate limit or daily quota exceeded', 'Error'),
+  500: json('Internal error', 'Error')
+};
+
+function errors(...statuses) {
+  return Object.fromEntries(statuses.map(status => [status, ERROR_RESPONSES[status]]));
+}
+
+const jobIdParameter = { name: 'id', in: 'path', required: true, description: 'Job id returned by POST /v1/itineraries', schema: { type: 'string' } };
+
+const PATHS = {
+  '/v1/health': {
+    get: {
+      summary: 'Configuration and dependency checks',
+      security: [],
+      responses: {
+        200: json('All checks pass', 'Health'),
+        503: json('At least one check fails', 'Health')
+      }
+    }
+  },
+  '/v1/itineraries': {
+    post: {
+      summary: 'Start generating an itinerary',
+      requestBody: { required: true, content: { 'application/json': { schema: ref('CreateItineraryRequest') } } },
+      responses: {
+        200: json('Served from the cache; the job is already completed', 'CreateCached'),
+        202: json('Job created; poll GET /v1/itineraries/{id}', 'CreateAccepted'),
+        ...errors(400, 401, 415, 429, 500)
+      }
+    }
+  },
+  '/v1/itineraries/{id}': {
+    parameters: [jobIdParameter],
+    get: {
+      summary: 'Job status and itinerary',
+      parameters: [
+        { name: 'format', in: 'query', required: false, description: 'json (default), markdown or html; also negotiated via Accept', schema: { type: 'string', enum: ['json', 'markdown', 'html'] } }
+      ],
+      responses: {
+        200: {
+          description: 'The job',
+          content: {
+            'application/json': { schema: ref('Job') },
+            'text/markdown': { schema: { type: 'string' } },
+            'text/html': { schema: { type: 'string' } }
+          }
+        },
+        ...errors(400, 401, 404, 500)
+      }
+    },
+    patch: {
+      summary: 'Edit a completed itinerary, creating a new version',
+      requestBody: { required: true, content: { 'application/json': { schema: ref('EditRequest') } } },
+      responses: {
+        200: json('The updated job', 'Job'),
+        ...errors(400, 401, 404, 409, 415, 429),
+        422: json('The edit would break the itinerary', 'Error'),
+        500: ERROR_RESPONSES[500]
+      }
+    },
+    delete: {
+      summary: 'Cancel a processing job',
+      responses: {
+        200: json('The job is cancelled', 'CancelResponse'),
+        ...errors(401, 404, 409, 500)
+      }
+    }
+  },
+  '/v1/itineraries/{id}/export.ics': {
+    parameters: [jobIdParameter],
+    get: {
+      summary: 'iCalendar feed of a completed itinerary',
+      parameters: [
+        { name: 'startDate', in: 'query', required: false, description: 'YYYY-MM-DD; required when the job has no start date', schema: { type: 'string', format: 'date' } }
+      ],
+      responses: {
+        200: { description: 'Calendar', content: { 'text/calendar': { schema: { type: 'string' } } } },
+        ...errors(400, 401, 404, 409, 500)
+      }
+    }
+  },
+  '/v1/itineraries/{id}/geojson': {
+    parameters: [jobIdParameter],
+    get: {
+      summary: 'GeoJSON FeatureCollection of the geocoded activities',
+      responses: {
+        200: { description: 'Map features', content: { 'application/geo+json': { schema: { type: 'object' } } } },
+        ...errors(401, 404, 409, 500)
+      }
+    }
+  },
+  '/v1/itineraries/{id}/versions': {
+    parameters: [jobIdParameter],
+    get: {
+      summary: 'Version history of the itinerary',
+      responses: {
+        200: json('Versions without their itineraries', 'VersionList'),
+        ...errors(401, 404, 500)
+      }
+    }
+  },
+  '/v1/itineraries/{id}/versions/{version}': {
+    parameters: [
+      jobIdParameter,
+      { name: 'version', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } }
+    ],
+    get: {
+      summary: 'One version of the itinerary',
+      responses: {
+        200: json('The version', 'Version'),
+        ...errors(401, 404, 500)
+      }
+    }
+  },
+  '/v1/itineraries/{id}/diff': {
+    parameters: [jobIdParameter],
+    get: {
+      summary: 'Differences between two versions',
+      parameters: [
+        { name: 'from', in: 'query', required: true, schema: { type: 'integer', minimum: 1 } },
+        { name: 'to', in: 'query', required: false, description: 'Defaults to the current version', schema: { type: 'integer', minimum: 1 } }
+      ],
+      responses: {
+        200: json('Changed days and activities', 'Diff'),
+        ...errors(400, 401, 404, 500)
+      }
+    }
+  }
+};
+
+let cachedDocument = null;
+
+// The document only depends on the schemas, so it is built once per isolate
+export function buildOpenAPIDocument() {
+  if (!cachedDocument) {
+    cachedDocument = {
+      openapi: '3.0.3',
+      info: OPENAPI_INFO,
+      security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+      paths: PATHS,
+      components: {
+        securitySchemes: {
+          bearerAuth: { type: 'http', scheme: 'bearer', description: 'API key as a bearer token' },
+          apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+        },
+        schemas: Object.fromEntries(Object.entries(COMPONENT_SCHEMAS).map(([name, schema]) => [name, toOpenAPISchema(schema)]))
+      }
+    };
+  }
+  return cachedDocument;
+}
@@ -0,0 +1,385 @@
+import { planCityDays } from './stops.js';
+
+// LLM provider layer
+//
+// Every provider exposes the same shape:
+//   { name, model, structuredOutput,
+//     complete({ system, prompt, history, meta, responseFormat, signal }) -> { content, finishReason } }
+// where `history` is an optional list of earlier { role, content } turns and
+// `signal` an optional AbortSignal for the underlying request. Each
+// provider maps its own error responses onto ProviderError codes, so the retry
+// logic in generateItinerary does not need to know which API it is talking to.
+//
+// `responseFormat` is { name, key, schema } from schemas.js. Providers with
+// structured output send the schema through their API and unwrap `key`, so
+// `content` is the JSON array as text; the others ignore it. Anthropic's
+// forced tool call and OpenAI's non-strict json_schema guide the model rather
+// than guarantee a valid response, so the output is still validated.
+
+export const PROVIDER_NAMES = ['openai', 'anthropic', 'openai-compatible', 'stub'];
+
+const DEFAULT_MODELS = {
+  openai: 'gpt-4o',
+  anthropic: 'claude-sonnet-4-5',
+  'openai-compatible': 'llama3.1',
+  stub: 'stub-itinerary-v1'
+};
+
+const DEFAULT_TEMPERATURE = 0.7;
+const DEFAULT_MAX_TOKENS = 3000;
+const DEFAULT_COMPATIBLE_BASE_URL = 'http://localhost:11434/v1';
+
+// Whether each provider uses structured output unless LLM_STRUCTURED_OUTPUT
+// says otherwise. OpenAI-compatible servers vary, so they opt in explicitly.
+const DEFAULT_STRUCTURED_OUTPUT = {
+  openai: true,
+  anthropic: true,
+  'openai-compatible': false,
+  stub: false
+};
+
+// Common error codes shared by all providers
+export const PROVIDER_ERROR_CODES = {
+  RATE_LIMITED: 'rate_limited',
+  QUOTA_EXCEEDED: 'quota_exceeded',
+  SERVER_ERROR: 'server_error',
+  UNAVAILABLE: 'unavailable',
+  CONTEXT_LENGTH: 'context_length',
+  AUTH: 'auth',
+  BAD_REQUEST: 'bad_request'
+};
+
+const RETRYABLE_CODES = new Set([
+  PROVIDER_ERROR_CODES.RATE_LIMITED,
+  PROVIDER_ERROR_CODES.SERVER_ERROR,
+  PROVIDER_ERROR_CODES.UNAVAILABLE
+]);
+
+export class ProviderError extends Error {
+  constructor(code, message, { provider, status } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.code = code;
+    this.provider = provider;
+    this.status = status;
+    this.retryable = RETRYABLE_CODES.has(code);
+  }
+}
+
+// Thrown when a provider is requested that this deployment cannot use
+export class ProviderConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProviderConfigError';
+  }
+}
+
+// Map an HTTP error response onto a ProviderError. `details` is the parsed
+// error body if it was JSON, used to tell quota and context-length errors apart.
+function mapHttpError(provider, label, status, errorText, details) {
+  const errorCode = details?.error?.code || details?.error?.type || '';
+  const errorMessage = details?.error?.message || '';
+
+  if (status === 429 && errorCode === 'insufficient_quota') {
+    return new ProviderError(PROVIDER_ERROR_CODES.QUOTA_EXCEEDED, `${label} quota exceeded: ${errorText}`, { provider, status });
+  }
+
+  if (status === 429) {
+    return new ProviderError(PROVIDER_ERROR_CODES.RATE_LIMITED, `Rate limited by ${label} API: ${errorText}`, { provider, status });
+  }
+
+  // Anthropic reports overload as 529
+  if (status >= 500) {
+    return new ProviderError(PROVIDER_ERROR_CODES.SERVER_ERROR, `${label} server error: ${status} - ${errorText}`, { provider, status });
+  }
+
+  if (status === 401 || status === 403) {
+    return new ProviderError(PROVIDER_ERROR_CODES.AUTH, `${label} authentication failed: ${status}`, { provider, status });
+  }
+
+  if (errorCode === 'context_length_exceeded' || /context length|prompt is too long|too many tokens/i.test(errorMessage)) {
+    return new ProviderError(PROVIDER_ERROR_CODES.CONTEXT_LENGTH, `${label} context length exceeded: ${errorMessage || errorText}`, { provider, status });
+  }
+
+  return new ProviderError(PROVIDER_ERROR_CODES.BAD_REQUEST, `${label} API error: ${status} - ${errorText}`, { provider, status });
+}
+
+// Shared fetch wrapper: network failures become UNAVAILABLE, non-2xx responses
+// go through mapHttpError. `signal` aborts the request when the job is cancelled.
+async function postJSON(provider, label, url, headers, body, signal) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal
+    });
+  } catch (error) {
+    // A cancelled job aborts its request; let the caller see the abort as is
+    if (signal?.aborted) {
+      throw error;
+    }
+    throw new ProviderError(PROVIDER_ERROR_CODES.UNAVAILABLE, `${label} request failed: ${error.message}`, { provider });
+  }
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    let details = null;
+    try {
+      details = JSON.parse(errorText);
+    } catch {
+      // Not JSON, keep the raw text only
+    }
+    throw mapHttpError(provider, label, response.status, errorText, details);
+  }
+
+  return response.json();
+}
+
+// Structured responses arrive wrapped as { [key]: [...] }. Hand back the array
+// as text so it goes through the same parse, validate and repair path as
+// everything else; anything unexpected is returned untouched for that path to report.
+function unwrapStructured(value, { key }) {
+  try {
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    if (parsed && Array.isArray(parsed[key])) {
+      return JSON.stringify(parsed[key]);
+    }
+  } catch {
+    // Not JSON (e.g. cut off at the token limit)
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// OpenAI Chat Completions, also used for OpenAI-compatible local servers
+function createChatCompletionsProvider({ name, label, baseUrl, apiKey, model, temperature, maxTokens, structuredOutput }) {
+  return {
+    name,
+    model,
+    structuredOutput,
+    async complete({ system, prompt, history = [], responseFormat, signal }) {
+      const headers = apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+      const useSchema = structuredOutput && responseFormat;
+      const data = await postJSON(name, label, `${baseUrl}/chat/completions`, headers, {
+        model,
+        messages: [
+          { role: 'system', content: system },
+          ...history,
+          { role: 'user', content: prompt }
+        ],
+        temperature,
+        max_tokens: maxTokens,
+        // Non-strict: strict mode rejects optional properties and length
+        // constraints, and the Zod validation afterwards is authoritative anyway
+        ...(useSchema && {
+          response_format: {
+            type: 'json_schema',
+            json_schema: { name: responseFormat.name, schema: responseFormat.schema, strict: false }
+          }
+        })
+      }, signal);
+
+      const choice = data.choices?.[0];
+      if (!choice?.message?.content) {
+        throw new ProviderError(PROVIDER_ERROR_CODES.SERVER_ERROR, `${label} returned an empty completion`, { provider: name });
+      }
+
+      return {
+        content: useSchema ? unwrapStructured(choice.message.content, responseFormat) : choice.message.content,
+        finishReason: choice.finish_reason === 'length' ? 'length' : 'stop'
+      };
+    }
+  };
+}
+
+// Anthropic Messages API. Structured output is done by forcing a tool call
+// whose input schema is the response format.
+function createAnthropicProvider({ apiKey, model, temperature, maxTokens, structuredOutput }) {
+  return {
+    name: 'anthropic',
+    model,
+    structuredOutput,
+    async complete({ system, prompt, history = [], responseFormat, signal }) {
+      const useSchema = structuredOutput && responseFormat;
+      const data = await postJSON('anthropic', 'Anthropic', 'https://api.anthropic.com/v1/messages', {
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01'
+      }, {
+        model,
+        system,
+        messages: [...history, { role: 'user', content: prompt }],
+        temperature,
+        max_tokens: maxTokens,
+        ...(useSchema && {
+          tools: [{
+            name: `submit_${responseFormat.name}`,
+            description: `Submit the ${responseFormat.name.replace(/_/g, ' ')}`,
+            input_schema: responseFormat.schema
+          }],
+          tool_choice: { type: 'tool', name: `submit_${responseFormat.name}` }
+        })
+      }, signal);
+      const finishReason = data.stop_reason === 'max_tokens' ? 'length' : 'stop';
+
+      const toolCall = (data.content || []).find(block => block.type === 'tool_use');
+      if (useSchema && toolCall) {
+        return { content: unwrapStructured(toolCall.input, responseFormat), finishReason };
+      }
+
+      const text = (data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+
+      if (!text) {
+        throw new ProviderError(PROVIDER_ERROR_CODES.SERVER_ERROR, 'Anthropic returned an empty completion', { provider: 'anthropic' });
+      }
+
+      return { content: text, finishReason };
+    }
+  };
+}
+
+// Deterministic stub for local development and tests: builds a valid
+// itinerary from the request metadata without calling any API
+function createStubProvider({ model }) {
+  const slots = ['Morning', 'Afternoon', 'Evening'];
+  const areas = ['Old Town', 'Riverside', 'Central Market', 'Museum Quarter', 'Harbour', 'Hilltop Park'];
+
+  return {
+    name: 'stub',
+    model,
+    structuredOutput: false,
+    async complete({ meta }) {
+      const { destination, durationDays, stops, task, startDay = 1, dayCount = durationDays } = meta;
+      const cityPlan = stops ? planCityDays(stops) : null;
+
+      if (task === 'outline') {
+        const outline = Array.from({ length: durationDays }, (_, i) => ({
+          day: i + 1,
+          theme: `${cityPlan ? cityPlan[i].city : destination} highlights, part ${i + 1}`
+        }));
+        return { content: JSON.stringify(outline), finishReason: 'stop' };
+      }
+
+      const itinerary = Array.from({ length: dayCount }, (_, offset) => {
+        const i = startDay - 1 + offset;
+        const city = cityPlan ? cityPlan[i].city : destination;
+        const activities = slots.map((time, j) => {
+          const area = areas[(i * slots.length + j) % areas.length];
+          return {
+            time,
+            description: `${time} visit to the ${area} area of ${city}, at an easy pace.`,
+            location: `${area}, ${city}`
+          };
+        });
+
+        // Travel days start with the journey from the previous stop
+        if (cityPlan?.[i].travelFrom) {
+          activities[0] = {
+            time: 'Morning',
+            description: `Train from ${cityPlan[i].travelFrom} to ${city}, then check in.`,
+            location: `${city} railway station`,
+            transit: { mode: 'train', from: cityPlan[i].travelFrom, to: city, durationMinutes: 120 }
+          };
+        }
+
+        return {
+          day: i + 1,
+          ...(cityPlan && { city }),
+          theme: `${city} highlights, part ${i + 1}`,
+          activities
+        };
+      });
+
+      return { content: JSON.stringify(itinerary), finishReason: 'stop' };
+    }
+  };
+}
+
+function parseNumber(value, fallback) {
+  const parsed = Number(value);
+  return value === undefined || value === '' || Number.isNaN(parsed) ? fallback : parsed;
+}
+
+// Why a request may not choose this { provider, model }, or null if it may.
+// Clients can only switch to providers this deployment has set up: the
+// OpenAI-compatible server needs LLM_BASE_URL and the stub is for development
+// deployments with ALLOW_STUB_PROVIDER = "true". Models have to be listed in
+// LLM_ALLOWED_MODELS (comma-separated), since each one has its own price.
+// Missing API keys are left to createLLMProvider.
+export function checkRequestedLLM(env, { provider, model } = {}) {
+  if (provider && provider !== (env.LLM_PROVIDER || 'openai')) {
+    const available = provider === 'openai-compatible' ? Boolean(env.LLM_BASE_URL)
+      : provider === 'stub' ? env.ALLOW_STUB_PROVIDER === 'true'
+      : true;
+    if (!available) {
+      return `llm.provider '${provider}' is not available on this deployment`;
+    }
+  }
+
+  const allowedModels = (env.LLM_ALLOWED_MODELS || '').split(',').map(name => name.trim()).filter(Boolean);
+  if (model && !allowedModels.includes(model)) {
+    return `llm.model '${model}' is not allowed on this deployment`;
+  }
+
+  return null;
+}
+
+// Resolve the provider for a job from env vars, optionally overridden per
+// request with { provider, model }
+export function createLLMProvider(env, overrides = {}) {
+  const name = overrides.provider || env.LLM_PROVIDER || 'openai';
+
+  if (!PROVIDER_NAMES.includes(name)) {
+    throw new ProviderConfigError(`Unknown LLM provider '${name}'. Expected one of: ${PROVIDER_NAMES.join(', ')}`);
+  }
+
+  // The deployment-wide model only applies to the deployment-wide provider
+  const deploymentModel = !overrides.provider || overrides.provider === env.LLM_PROVIDER ? env.LLM_MODEL : undefined;
+  const model = overrides.model || deploymentModel || DEFAULT_MODELS[name];
+  const temperature = parseNumber(env.LLM_TEMPERATURE, DEFAULT_TEMPERATURE);
+  const maxTokens = parseNumber(env.LLM_MAX_TOKENS, DEFAULT_MAX_TOKENS);
+  const structuredOutput = env.LLM_STRUCTURED_OUTPUT === undefined || env.LLM_STRUCTURED_OUTPUT === ''
+    ? DEFAULT_STRUCTURED_OUTPUT[name]
+    : env.LLM_STRUCTURED_OUTPUT === 'true';
+
+  switch (name) {
+    case 'openai':
+      if (!env.OPENAI_API_KEY) {
+        throw new ProviderConfigError('LLM provider \'openai\' is not configured (OPENAI_API_KEY missing)');
+      }
+      return createChatCompletionsProvider({
+        name,
+        label: 'OpenAI',
+        baseUrl: 'https://api.openai.com/v1',
+        apiKey: env.OPENAI_API_KEY,
+        model,
+        temperature,
+        maxTokens,
+        structuredOutput
+      });
+
+    case 'anthropic':
+      if (!env.ANTHROPIC_API_KEY) {
+        throw new ProviderConfigError('LLM provider \'anthropic\' is not configured (ANTHROPIC_API_KEY missing)');
+      }
+      return createAnthropicProvider({ apiKey: env.ANTHROPIC_API_KEY, model, temperature, maxTokens, structuredOutput });
+
+    case 'openai-compatible':
+      return createChatCompletionsProvider({
+        name,
+        label: 'OpenAI-compatible server',
+        baseUrl: (env.LLM_BASE_URL || DEFAULT_COMPATIBLE_BASE_URL).replace(/\/+$/, ''),
+        apiKey: env.LLM_API_KEY,
+        model,
+        temperature,
+        maxTokens,
+        structuredOutput
+      });
+
+    case 'stub':
+      return createStubProvider({ model });
+  }
+}
@@ -0,0 +1,46 @@
+// Cloudflare Queue for itinerary generation. The POST handler enqueues
+// { jobId } and the queue consumer in index.js runs the job, rebuilding it
+// from storage, so messages stay tiny and always see the latest job state.
+//
+// Retries are the queue's: a run that fails with a retryable error is put
+// back with message.retry() and a growing delay. Once max_retries (see
+// wrangler.toml) is used up the message moves to the dead-letter queue, whose
+// consumer marks the job failed.
+
+export const QUEUE_CONFIG = {
+  // Must match the queue names in wrangler.toml
+  deadLetterQueue: 'itinerary-jobs-dlq',
+  retryBaseDelaySeconds: 30,
+  retryMaxDelaySeconds: 600
+};
+
+// Whether this deployment has a queue; without one jobs run in ctx.waitUntil
+export function hasJobQueue(env) {
+  return Boolean(env.ITINERARY_QUEUE);
+}
+
+// Raised when a job can't be sent to the queue; the binding's error is the `cause`
+export class QueueUnavailableError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'QueueUnavailableError';
+  }
+}
+
+export async function enqueueJob(env, jobId) {
+  try {
+    await env.ITINERARY_QUEUE.send({ jobId }, { contentType: 'json' });
+  } catch (error) {
+    throw new QueueUnavailableError(`Could not queue job ${jobId}: ${error.message}`, { cause: error });
+  }
+}
+
+export function isDeadLetterBatch(batch) {
+  return batch.queue === QUEUE_CONFIG.deadLetterQueue;
+}
+
+// Exponential backoff for message.retry(), by the attempt that just failed
+export function queueRetryDelaySeconds(attempt) {
+  const delay = QUEUE_CONFIG.retryBaseDelaySeconds * Math.pow(2, attempt - 1);
+  return Math.min(delay, QUEUE_CONFIG.retryMaxDelaySeconds);
+}
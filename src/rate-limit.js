@@ -0,0 +1,141 @@
+import { ANONYMOUS_CLIENT_ID } from './auth.js';
+
+// Per-client rate limiting for itinerary creation. Each client (API client
+// id, or IP address for anonymous requests) gets its own RateLimiter Durable
+// Object, so the counters hold across Worker isolates. Two limits apply:
+//   - a sliding window of requests per minute
+//   - a daily quota of generations, reset at midnight UTC. Only requests that
+//     reach the LLM count, not invalid ones or cache hits.
+
+export const RATE_LIMIT_CONFIG = {
+  requestsPerMinute: 10,
+  dailyQuota: 100,
+  windowMs: 60 * 1000
+};
+
+// Seconds until the next midnight UTC
+function secondsUntilNextDay(now) {
+  const tomorrow = new Date(now);
+  tomorrow.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((tomorrow.getTime() - now) / 1000);
+}
+
+export class RateLimiter {
+  constructor(state) {
+    this.storage = state.storage;
+  }
+  
+  // POST { requestsPerMinute, dailyQuota, countRequest, countGeneration }
+  // records a request in the per-minute window and/or a generation against
+  // the daily quota if the limits being counted allow it, and reports what
+  // is left either way
+  async fetch(request) {
+    const { requestsPerMinute, dailyQuota, countRequest = true, countGeneration = true } = await request.json();
+    const now = Date.now();
+    const today = new Date(now).toISOString().slice(0, 10);
+    
+    const recent = ((await this.storage.get('recent')) || [])
+      .filter(timestamp => timestamp > now - RATE_LIMIT_CONFIG.windowMs);
+    let daily = (await this.storage.get('daily')) || { date: today, count: 0 };
+    if (daily.date !== today) {
+      daily = { date: today, count: 0 };
+    }
+    
+    const windowResetSeconds = recent.length
+      ? Math.ceil((recent[0] + RATE_LIMIT_CONFIG.windowMs - now) / 1000)
+      : Math.ceil(RATE_LIMIT_CONFIG.windowMs / 1000);
+    
+    let retryAfter = null;
+    let reason = null;
+    if (countGeneration && daily.count >= dailyQuota) {
+      retryAfter = secondsUntilNextDay(now);
+      reason = 'daily_quota';
+    } else if (countRequest && recent.length >= requestsPerMinute) {
+      retryAfter = windowResetSeconds;
+      reason = 'rate_limit';
+    } else {
+      if (countRequest) {
+        recent.push(now);
+      }
+      if (countGeneration) {
+        daily.count++;
+      }
+    }
+    
+    await this.storage.put({ recent, daily });
+    
+    return Response.json({
+      allowed: retryAfter === null,
+      reason,
+      retryAfter,
+      limit: requestsPerMinute,
+      remaining: Math.max(requestsPerMinute - recent.length, 0),
+      reset: windowResetSeconds,
+      dailyLimit: dailyQuota,
+      dailyRemaining: Math.max(dailyQuota - daily.count, 0),
+      dailyReset: secondsUntilNextDay(now)
+    });
+  }
+}
+
+function readLimit(value, fallback) {
+  const limit = Number(value);
+  return value !== undefined && Number.isInteger(limit) && limit > 0 ? limit : fallback;
+}
+
+// Authenticated clients are limited by client id, anonymous ones by IP address
+function clientKey(request, clientId) {
+  if (clientId && clientId !== ANONYMOUS_CLIENT_ID) {
+    return `client:${clientId}`;
+  }
+  return `ip:${request.headers.get('CF-Connecting-IP') || 'unknown'}`;
+}
+
+function toHeaders(result) {
+  const headers = {
+    'X-RateLimit-Limit': String(result.limit),
+    'X-RateLimit-Remaining': String(result.remaining),
+    'X-RateLimit-Reset': String(result.reset),
+    'X-RateLimit-Daily-Limit': String(result.dailyLimit),
+    'X-RateLimit-Daily-Remaining': String(result.dailyRemaining)
+  };
+  if (!result.allowed) {
+    headers['Retry-After'] = String(result.retryAfter);
+  }
+  return headers;
+}
+
+// Count this request against the client's limits: `countRequest` against the
+// per-minute window and `countGeneration` against the daily quota, for a
+// request that is about to call the LLM. Returns
+// { allowed, reason, retryAfter, headers }, or null when no RATE_LIMITER
+// binding is configured. Fails open if the limiter itself is unavailable,
+// so an outage there does not take the API down with it.
+export async function checkRateLimit(env, request, clientId, { countRequest = true, countGeneration = true } = {}) {
+  if (!env.RATE_LIMITER) {
+    return null;
+  }
+  
+  try {
+    const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(clientKey(request, clientId)));
+    const response = await stub.fetch('https://rate-limiter/hit', {
+      method: 'POST',
+      body: JSON.stringify({
+        requestsPerMinute: readLimit(env.RATE_LIMIT_PER_MINUTE, RATE_LIMIT_CONFIG.requestsPerMinute),
+        dailyQuota: readLimit(env.RATE_LIMIT_DAILY_QUOTA, RATE_LIMIT_CONFIG.dailyQuota),
+        countRequest,
+        countGeneration
+      })
+    });
+    
+    if (!response.ok) {
+      throw new Error(`Rate limiter responded with ${response.status}`);
+    }
+    
+    const result = await response.json();
+    return { allowed: result.allowed, reason: result.reason, retryAfter: result.retryAfter, headers: toHeaders(result) };
+  } catch (error) {
+    console.error('Rate limit check failed, allowing request:', error);
+    return null;
+  }
+}
@@ -0,0 +1,47 @@
+// Stuck job reaper, run by the cron trigger. A job is stuck when it is still
+// 'processing' but nothing has been written to it for timeoutMinutes: the
+// isolate running it died, or even its failure could not be recorded.
+// Stuck jobs are re-driven up to maxRedrives times, then marked failed.
+
+export const REAPER_CONFIG = {
+  timeoutMinutes: 30,
+  maxRedrives: 2,
+  batchSize: 50
+};
+
+function readPositiveInteger(value, fallback, { allowZero = false } = {}) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const number = Number(value);
+  const valid = Number.isInteger(number) && (number > 0 || (allowZero && number === 0));
+  if (!valid) {
+    throw new Error(`Invalid reaper setting '${value}', expected a ${allowZero ? 'non-negative' : 'positive'} integer`);
+  }
+  return number;
+}
+
+// Settings with the STUCK_JOB_TIMEOUT_MINUTES / STUCK_JOB_MAX_REDRIVES overrides
+export function resolveReaperConfig(env) {
+  return {
+    timeoutMinutes: readPositiveInteger(env.STUCK_JOB_TIMEOUT_MINUTES, REAPER_CONFIG.timeoutMinutes),
+    maxRedrives: readPositiveInteger(env.STUCK_JOB_MAX_REDRIVES, REAPER_CONFIG.maxRedrives, { allowZero: true }),
+    batchSize: REAPER_CONFIG.batchSize
+  };
+}
+
+// Processing jobs with no write for timeoutMinutes, oldest first. Jobs written
+// before updatedAt existed fall back to createdAt. With a queue, only jobs a
+// consumer is running count: a job waiting in the queue's backlog or for a
+// retry has no `startedAt` and isn't written to, however long the wait.
+export async function findStuckJobs(repository, config, { queued = false, now = new Date() } = {}) {
+  const cutoff = new Date(now.getTime() - config.timeoutMinutes * 60 * 1000);
+  const candidates = await repository.list({
+    status: 'processing',
+    createdBefore: cutoff,
+    limit: config.batchSize,
+    order: 'asc'
+  });
+
+  return candidates.filter(job => new Date(job.updatedAt ?? job.createdAt) < cutoff && (!queued || job.startedAt));
+}
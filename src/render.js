@@ -0,0 +1,191 @@
+import { addDays } from './calendar.js';
+import { describeRoute } from './stops.js';
+
+// Human-readable renderings of an itinerary job for printing or sharing.
+// Every piece of text in a job ultimately comes from the client or the
+// model, so all of it is escaped for the output format.
+
+export const RENDER_FORMATS = ['json', 'markdown', 'html'];
+
+const FORMAT_ALIASES = {
+  json: 'json',
+  md: 'markdown',
+  markdown: 'markdown',
+  html: 'html'
+};
+
+const MEDIA_TYPES = {
+  'application/json': 'json',
+  'text/markdown': 'markdown',
+  'text/html': 'html'
+};
+
+// Format requested with ?format= (which wins) or the Accept header.
+// Returns null for an unknown ?format= value.
+export function negotiateFormat(request, url) {
+  const requested = url.searchParams.get('format');
+  if (requested) {
+    return FORMAT_ALIASES[requested.toLowerCase()] || null;
+  }
+  
+  // Highest-q media type we can produce; */* and anything else mean JSON
+  let best = { format: 'json', q: 0 };
+  for (const part of (request.headers.get('Accept') || '').split(',')) {
+    const [type, ...params] = part.trim().toLowerCase().split(';');
+    const qParam = params.find(param => param.trim().startsWith('q='));
+    const q = qParam ? Number(qParam.trim().slice(2)) : 1;
+    const format = MEDIA_TYPES[type.trim()];
+    if (format && q > best.q) {
+      best = { format, q };
+    }
+  }
+  return best.format;
+}
+
+export function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Backslash-escape inline Markdown syntax (including raw HTML and entities)
+// and flatten newlines, so text renders literally inside headings, list items
+// and table cells. Block syntax can't start mid-line, so - . + are left alone.
+export function escapeMarkdown(value) {
+  return String(value)
+    .replace(/[\\`*_{}\[\]()#!|<>~&]/g, '\\$&')
+    .replace(/\s*\r?\n\s*/g, ' ');
+}
+
+// Facts shown in the summary header, as [label, value] pairs of plain text
+function summarise(job) {
+  const facts = [['Duration', `${job.durationDays} day${job.durationDays === 1 ? '' : 's'}`]];
+  
+  if (job.startDate) {
+    facts.push(['Dates', `${job.startDate} to ${addDays(job.startDate, job.durationDays - 1)}`]);
+  }
+  if (job.stops?.length > 1) {
+    facts.push(['Route', describeRoute(job.stops)]);
+  }
+  
+  const { budget, pace, interests } = job.preferences || {};
+  if (budget) facts.push(['Budget', budget]);
+  if (pace) facts.push(['Pace', pace]);
+  if (interests?.length) facts.push(['Interests', interests.join(', ')]);
+  
+  if (job.status !== 'completed') {
+    facts.push(['Status', job.progress?.summary ? `${job.status} (${job.progress.summary})` : job.status]);
+  }
+  return facts;
+}
+
+function dayHeading(day) {
+  const parts = [`Day ${day.day}`];
+  if (day.date) {
+    parts.push(day.weekday ? `${day.weekday} ${day.date}` : day.date);
+  }
+  if (day.city) {
+    parts.push(day.city);
+  }
+  return `${parts.join(' · ')}: ${day.theme}`;
+}
+
+function describeTransit(transit) {
+  return `${transit.mode} from ${transit.from} to ${transit.to}, about ${transit.durationMinutes} min`;
+}
+
+export function renderMarkdown(job) {
+  const lines = [`# ${escapeMarkdown(job.destination)}`, ''];
+  
+  for (const [label, value] of summarise(job)) {
+    lines.push(`- **${label}:** ${escapeMarkdown(value)}`);
+  }
+  
+  for (const day of job.itinerary || []) {
+    lines.push('', `## ${escapeMarkdown(dayHeading(day))}`, '', '| Time | Location | Details |', '|------|----------|---------|');
+    for (const activity of day.activities) {
+      const details = activity.transit
+        ? `${activity.description} (${describeTransit(activity.transit)})`
+        : activity.description;
+      lines.push(`| ${escapeMarkdown(activity.time)} | ${escapeMarkdown(activity.location)} | ${escapeMarkdown(details)} |`);
+    }
+  }
+  
+  if (!job.itinerary?.length) {
+    lines.push('', job.status === 'failed' ? '_This itinerary could not be generated._' : '_No days are ready yet._');
+  }
+  
+  return lines.join('\n') + '\n';
+}
+
+const PRINT_STYLES = `
+  body { font-family: Georgia, 'Times New Roman', serif; max-width: 50rem; margin: 2rem auto; padding: 0 1rem; color: #222; }
+  h1 { margin-bottom: 0.25rem; }
+  dl.summary { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; margin: 1rem 0 2rem; }
+  dl.summary dt { font-weight: bold; }
+  dl.summary dd { margin: 0; }
+  section.day { break-inside: avoid; margin-bottom: 2rem; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; vertical-align: top; padding: 0.4rem 0.6rem; border-bottom: 1px solid #ccc; }
+  th { border-bottom: 2px solid #222; }
+  td.time { white-space: nowrap; width: 7rem; }
+  td.location { width: 12rem; font-weight: bold; }
+  .transit { display: block; margin-top: 0.25rem; font-style: italic; }
+  @media print { body { margin: 0; max-width: none; } a { color: inherit; } }
+`;
+
+export function renderHTML(job) {
+  const summary = summarise(job)
+    .map(([label, value]) => `<dt>${escapeHTML(label)}</dt><dd>${escapeHTML(value)}</dd>`)
+    .join('\n      ');
+  
+  const days = (job.itinerary || []).map(day => {
+    const rows = day.activities.map(activity => {
+      const transit = activity.transit
+        ? `<span class="transit">${escapeHTML(describeTransit(activity.transit))}</span>`
+        : '';
+      return `        <tr>
+          <td class="time">${escapeHTML(activity.time)}</td>
+          <td class="location">${escapeHTML(activity.location)}</td>
+          <td>${escapeHTML(activity.description)}${transit}</td>
+        </tr>`;
+    }).join('\n');
+    
+    return `    <section class="day">
+      <h2>${escapeHTML(dayHeading(day))}</h2>
+      <table>
+        <thead><tr><th>Time</th><th>Location</th><th>Details</th></tr></thead>
+        <tbody>
+${rows}
+        </tbody>
+      </table>
+    </section>`;
+  }).join('\n');
+  
+  const empty = job.itinerary?.length
+    ? ''
+    : `    <p><em>${job.status === 'failed' ? 'This itinerary could not be generated.' : 'No days are ready yet.'}</em></p>\n`;
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHTML(job.destination)} itinerary</title>
+  <style>${PRINT_STYLES}</style>
+</head>
+<body>
+  <main>
+    <h1>${escapeHTML(job.destination)}</h1>
+    <dl class="summary">
+      ${summary}
+    </dl>
+${days}
+${empty}  </main>
+</body>
+</html>
+`;
+}
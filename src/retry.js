@@ -0,0 +1,18 @@
+// Retry configuration
+export const RETRY_CONFIG = {
+  maxRetries: 3,
+  baseDelay: 1000, // 1 second
+  maxDelay: 30000, // 30 seconds
+  backoffFactor: 2
+};
+
+// Sleep function for delays
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Calculate exponential backoff delay
+export function calculateDelay(attempt) {
+  const delay = RETRY_CONFIG.baseDelay * Math.pow(RETRY_CONFIG.backoffFactor, attempt - 1);
+  return Math.min(delay, RETRY_CONFIG.maxDelay);
+}
@@ -0,0 +1,65 @@
+// Minimal path router for the fetch handler. Patterns are literal segments
+// and `:name` parameters, e.g. '/v1/itineraries/:id/versions/:version'.
+// Routes are tried in the order they were added.
+
+function compilePattern(pattern) {
+  const names = [];
+  const source = pattern
+    .split('/')
+    .map(segment => {
+      if (segment.startsWith(':')) {
+        names.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+  return { regex: new RegExp(`^${source}$`), names };
+}
+
+// A trailing slash is ignored, except on the root path
+function normalisePath(pathname) {
+  return pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+}
+
+export function createRouter() {
+  const routes = [];
+
+  return {
+    // `options` are kept on the route, e.g. { public: true } or
+    // { successor } for deprecated aliases
+    add(method, pattern, handler, options = {}) {
+      routes.push({ method, pattern, handler, ...options, ...compilePattern(pattern) });
+      return this;
+    },
+
+    // { route, params } for a match; { allowedMethods } when the path exists
+    // but not for this method; null for an unknown path
+    match(method, pathname) {
+      const path = normalisePath(pathname);
+      const allowedMethods = new Set();
+
+      for (const route of routes) {
+        const found = path.match(route.regex);
+        if (!found) {
+          continue;
+        }
+        if (route.method !== method) {
+          allowedMethods.add(route.method);
+          continue;
+        }
+
+        let params;
+        try {
+          params = Object.fromEntries(route.names.map((name, i) => [name, decodeURIComponent(found[i + 1])]));
+        } catch {
+          // Malformed percent-encoding can't name anything that exists
+          return null;
+        }
+        return { route, params };
+      }
+
+      return allowedMethods.size ? { allowedMethods: [...allowedMethods] } : null;
+    }
+  };
+}
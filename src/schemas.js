@@ -0,0 +1,122 @@
+import { z } from 'zod';
+import { zodToJsonSchema } from 'zod-to-json-schema';
+import { ISO_DATE_PATTERN } from './calendar.js';
+
+// Zod schemas are the single source of truth for the itinerary format: they
+// validate model output, and the JSON Schemas generated from them are shown in
+// the prompt and sent to providers that support structured output.
+
+export const MIN_DESCRIPTION_LENGTH = 20;
+
+// Zod schema for itinerary validation
+export const TransitSchema = z.object({
+  mode: z.string().min(1, "Transit mode is required").describe('How to travel, e.g. train, bus, car, flight or ferry'),
+  from: z.string().min(1, "Transit origin is required").describe('City the journey starts in'),
+  to: z.string().min(1, "Transit destination is required").describe('City the journey ends in'),
+  durationMinutes: z.number().int().positive("Transit duration must be a positive number of minutes").describe('Rough door-to-door duration in minutes')
+});
+
+export const ActivitySchema = z.object({
+  time: z.string().min(1, "Time is required").describe('Time slot such as Morning, Afternoon or Evening'),
+  description: z.string()
+    .min(MIN_DESCRIPTION_LENGTH, `Description must be at least ${MIN_DESCRIPTION_LENGTH} characters`)
+    .describe('Detailed activity description with practical tips'),
+  location: z.string().min(1, "Location is required").describe('Specific, real location name'),
+  transit: TransitSchema.optional().describe('Only for activities that travel between cities')
+});
+
+export const DaySchema = z.object({
+  day: z.number().int().positive("Day must be a positive integer").describe('Day number within the trip, starting at 1'),
+  date: z.string().regex(ISO_DATE_PATTERN, "Date must be in YYYY-MM-DD format").optional().describe('Calendar date (YYYY-MM-DD), only when travel dates are given'),
+  weekday: z.string().optional().describe('Weekday name of the date, only when travel dates are given'),
+  city: z.string().min(1, "City must not be empty").optional().describe('City the day is spent in, only for multi-city trips'),
+  theme: z.string().min(1, "Theme is required").describe('Brief descriptive theme for the day'),
+  activities: z.array(ActivitySchema).min(1, "At least one activity is required per day")
+});
+
+export const ItinerarySchema = z.array(DaySchema).min(1, "Itinerary must have at least one day");
+
+// Zod schema for the day-by-day outline of a long trip
+export const OutlineEntrySchema = z.object({
+  day: z.number().int().positive("Day must be a positive integer").describe('Day number within the trip, starting at 1'),
+  theme: z.string().min(1, "Theme is required").describe('Brief descriptive theme for the day'),
+  focus: z.string().optional().describe('Neighbourhood or key sights for the day')
+});
+
+export const OutlineSchema = z.array(OutlineEntrySchema).min(1, "Outline must have at least one day");
+
+// Zod schema for the ordered stops of a multi-city trip
+export const StopsSchema = z.array(z.object({
+  city: z.string().trim().min(2, "City must be at least 2 characters long").max(100),
+  nights: z.number().int().min(1, "Each stop needs at least 1 night").max(30)
+}).strict()).min(1, "At least one stop is required").max(10, "At most 10 stops are supported");
+
+// Zod schema for traveler preferences sent with the POST body
+const preferenceList = z.array(z.string().trim().min(1).max(60)).max(10);
+
+export const PreferencesSchema = z.object({
+  budget: z.enum(['budget', 'moderate', 'luxury']).optional(),
+  pace: z.enum(['relaxed', 'balanced', 'packed']).optional(),
+  interests: preferenceList.optional(),
+  dietary: preferenceList.optional(),
+  party: z.object({
+    adults: z.number().int().min(0).max(20).optional(),
+    children: z.number().int().min(0).max(20).optional(),
+    seniors: z.number().int().min(0).max(20).optional(),
+    limitedMobility: z.boolean().optional()
+  }).strict().optional(),
+  avoid: preferenceList.optional()
+}).strict();
+
+// Zod schema for PATCH /itineraries/:id edits of a completed itinerary
+const editDayNumber = z.number().int().positive("Day must be a positive integer");
+
+export const EditRequestSchema = z.discriminatedUnion('operation', [
+  z.object({
+    operation: z.literal('replaceActivity'),
+    day: editDayNumber,
+    index: z.number().int().min(0, "Index must be 0 or more"),
+    activity: ActivitySchema
+  }).strict(),
+  z.object({
+    operation: z.literal('regenerateDay'),
+    day: editDayNumber,
+    instructions: z.string().trim().min(1).max(500, "Instructions must be at most 500 characters").optional()
+  }).strict(),
+  z.object({
+    operation: z.literal('swapDays'),
+    days: z.tuple([editDayNumber, editDayNumber])
+  }).strict(),
+  z.object({
+    operation: z.literal('restoreVersion'),
+    version: z.number().int().positive("Version must be a positive integer")
+  }).strict()
+]);
+
+// JSON Schema for a Zod schema, fully inlined (no $ref) so it can be pasted
+// into a prompt or sent to a structured-output API as is
+export function toJsonSchema(schema) {
+  const { $schema, ...jsonSchema } = zodToJsonSchema(schema, { $refStrategy: 'none' });
+  return jsonSchema;
+}
+
+// Structured-output APIs want an object at the root, so the array is wrapped
+// in a single required property that providers unwrap again
+function toResponseFormat(name, key, schema) {
+  return {
+    name,
+    key,
+    schema: {
+      type: 'object',
+      properties: { [key]: toJsonSchema(schema) },
+      required: [key],
+      additionalProperties: false
+    }
+  };
+}
+
+export const DAY_JSON_SCHEMA = toJsonSchema(DaySchema);
+export const OUTLINE_ENTRY_JSON_SCHEMA = toJsonSchema(OutlineEntrySchema);
+
+export const ITINERARY_RESPONSE_FORMAT = toResponseFormat('itinerary', 'days', ItinerarySchema);
+export const OUTLINE_RESPONSE_FORMAT = toResponseFormat('trip_outline', 'days', OutlineSchema);
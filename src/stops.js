@@ -0,0 +1,35 @@
+// Multi-city helpers: which city each day is spent in and where the travel days fall.
+// A stop's `nights` is the number of trip days spent there; moving on to the
+// next stop happens on the first day in the new city.
+
+// One entry per trip day: { day, city, travelFrom }, where travelFrom is the
+// previous stop on the first day in a new city and null otherwise
+export function planCityDays(stops) {
+  const plan = [];
+
+  stops.forEach((stop, index) => {
+    for (let night = 0; night < stop.nights; night++) {
+      plan.push({
+        day: plan.length + 1,
+        city: stop.city,
+        travelFrom: index > 0 && night === 0 ? stops[index - 1].city : null
+      });
+    }
+  });
+
+  return plan;
+}
+
+// Loose city key so the model answering "Rome" matches the stop "Rome, Italy"
+export function cityKey(city) {
+  return city.split(',')[0].trim().toLowerCase();
+}
+
+export function sameCity(a, b) {
+  return cityKey(a) === cityKey(b);
+}
+
+// Human-readable trip label used when no destination is given
+export function describeRoute(stops) {
+  return stops.map(stop => stop.city).join(' → ');
+}
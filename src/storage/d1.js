@@ -0,0 +1,103 @@
+import { StorageConflictError } from './errors.js';
+
+// Cloudflare D1 job repository. Each job is one row: the fields used for
+// filtering are columns, the full document is a JSON blob (see
+// migrations/0001_create_itineraries.sql). Itinerary versions live in a
+// second table keyed by (job_id, version).
+
+function toJSON(value) {
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+export function createD1JobRepository(db, table = 'itineraries', versionsTable = 'itinerary_versions') {
+  return {
+    name: 'd1',
+    
+    async create(jobId, data) {
+      const document = JSON.parse(JSON.stringify({ ...data, updatedAt: new Date() }));
+      await db.prepare(
+        `INSERT INTO ${table} (id, status, created_at, updated_at, data) VALUES (?, ?, ?, ?, ?)`
+      ).bind(jobId, document.status, document.createdAt, document.updatedAt, JSON.stringify(document)).run();
+    },
+    
+    async update(jobId, changes, { ifStatus } = {}) {
+      const updatedAt = new Date().toISOString();
+      const data = { ...changes, updatedAt };
+      const entries = Object.entries(data).filter(([, value]) => value !== undefined);
+      
+      // json_set with json(?) keeps explicit nulls, unlike a JSON merge patch
+      const paths = entries.map(() => `?, json(?)`).join(', ');
+      const values = entries.flatMap(([key, value]) => [`$."${key}"`, toJSON(value)]);
+      
+      const result = await db.prepare(
+        `UPDATE ${table}
+         SET data = json_set(data, ${paths}),
+             status = COALESCE(?, status),
+             updated_at = ?
+         WHERE id = ?${ifStatus ? ' AND status = ?' : ''}`
+      ).bind(...values, data.status ?? null, updatedAt, jobId, ...(ifStatus ? [ifStatus] : [])).run();
+      
+      if (!result.meta?.changes) {
+        const row = ifStatus && await db.prepare(`SELECT status FROM ${table} WHERE id = ?`).bind(jobId).first();
+        if (row) {
+          throw new StorageConflictError(`Job ${jobId} is ${row.status}, not ${ifStatus}`);
+        }
+        throw new Error(`Job ${jobId} not found`);
+      }
+    },
+    
+    async get(jobId) {
+      const row = await db.prepare(`SELECT data FROM ${table} WHERE id = ?`).bind(jobId).first();
+      return row ? JSON.parse(row.data) : null;
+    },
+    
+    async list({ status, createdBefore, limit = 50, order = 'desc' } = {}) {
+      const conditions = [];
+      const bindings = [];
+      
+      if (status) {
+        conditions.push('status = ?');
+        bindings.push(status);
+      }
+      if (createdBefore) {
+        conditions.push('created_at < ?');
+        bindings.push(new Date(createdBefore).toISOString());
+      }
+      
+      const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+      const { results } = await db.prepare(
+        `SELECT id, data FROM ${table} ${where} ORDER BY created_at ${order === 'asc' ? 'ASC' : 'DESC'} LIMIT ?`
+      ).bind(...bindings, limit).all();
+      
+      return results.map(row => ({ id: row.id, ...JSON.parse(row.data) }));
+    },
+    
+    async addVersion(jobId, version) {
+      const document = JSON.parse(JSON.stringify(version));
+      try {
+        await db.prepare(
+          `INSERT INTO ${versionsTable} (job_id, version, reason, created_at, data) VALUES (?, ?, ?, ?, ?)`
+        ).bind(jobId, document.version, document.reason, document.createdAt, JSON.stringify(document)).run();
+      } catch (error) {
+        if (String(error.message).includes('UNIQUE constraint failed')) {
+          throw new StorageConflictError(`Version ${document.version} of job ${jobId} already exists`);
+        }
+        throw error;
+      }
+    },
+    
+    async listVersions(jobId) {
+      const { results } = await db.prepare(
+        `SELECT json_remove(data, '$.itinerary') AS data FROM ${versionsTable} WHERE job_id = ? ORDER BY version ASC`
+      ).bind(jobId).all();
+      return results.map(row => JSON.parse(row.data));
+    },
+    
+    async getVersion(jobId, number) {
+      const row = await db.prepare(
+        `SELECT data FROM ${versionsTable} WHERE job_id = ? AND version = ?`
+      ).bind(jobId, number).first();
+      return row ? JSON.parse(row.data) : null;
+    }
+  };
+}
@@ -0,0 +1,25 @@
+// Raised by a repository when a write clashes with existing data, e.g. a
+// version number that has already been taken by a concurrent edit
+export class StorageConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StorageConflictError';
+  }
+}
+
+// Raised when STORAGE_BACKEND or its binding/credentials are missing or invalid
+export class StorageConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StorageConfigError';
+  }
+}
+
+// Raised in place of any other failure of a backend (network, HTTP error,
+// database error); the backend's own error is kept as `cause`
+export class StorageUnavailableError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'StorageUnavailableError';
+  }
+}
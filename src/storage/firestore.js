@@ -0,0 +1,371 @@
+import { getAccessToken, invalidateAccessToken } from '../google-auth.js';
+import { calculateDelay, RETRY_CONFIG, sleep } from '../retry.js';
+import { StorageConflictError } from './errors.js';
+
+// Firestore job repository, talking to the Firestore REST API with the
+// service account from FIREBASE_SERVICE_ACCOUNT_KEY. Itinerary versions are
+// stored in a `versions` subcollection of each job document.
+
+// Error carrying the HTTP status, so a rejected token can be told apart
+function firestoreError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Convert a plain value to the Firestore REST value format
+function toFirestoreValue(value) {
+  if (value === null || value === undefined) {
+    return { nullValue: null };
+  }
+  if (value instanceof Date) {
+    return { timestampValue: value.toISOString() };
+  }
+  if (Array.isArray(value)) {
+    return { arrayValue: { values: value.map(toFirestoreValue) } };
+  }
+  switch (typeof value) {
+    case 'string':
+      return { stringValue: value };
+    case 'boolean':
+      return { booleanValue: value };
+    case 'number':
+      return Number.isInteger(value) ? { integerValue: value.toString() } : { doubleValue: value };
+    default:
+      return { mapValue: { fields: toFirestoreFields(value) } };
+  }
+}
+
+// Convert an object to Firestore fields, skipping undefined properties
+function toFirestoreFields(data) {
+  const fields = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (value !== undefined) {
+      fields[key] = toFirestoreValue(value);
+    }
+  }
+  return fields;
+}
+
+// Firestore operations with retry logic
+async function createFirestoreDocument(projectId, accessToken, collection, docId, data, attempt = 1) {
+  try {
+    console.log(`Creating Firestore document (attempt ${attempt}/${RETRY_CONFIG.maxRetries + 1}): ${collection}/${docId}`);
+    
+    const url = `https://firestore.googleapis.com/v1/projects/${projectId}/databases/(default)/documents/${collection}?documentId=${docId}`;
+    
+    const firestoreData = toFirestoreFields(data);
+    
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ fields: firestoreData }),
+    });
+    
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw firestoreError(`Firestore create failed: ${response.status} - ${errorText}`, response.status);
+    }
+    
+    console.log('Firestore document created successfully');
+    return await response.json();
+  } catch (error) {
+    console.error(`Firestore create attempt ${attempt} failed:`, error);
+    
+    if (attempt <= RETRY_CONFIG.maxRetries && (error.message.includes('500') || error.message.includes('502') || error.message.includes('503'))) {
+      const delay = calculateDelay(attempt);
+      console.log(`Retrying Firestore create in ${delay}ms...`);
+      await sleep(delay);
+      return createFirestoreDocument(projectId, accessToken, collection, docId, data, attempt + 1);
+    }
+    
+    throw error;
+  }
+}
+
+// `updateTime` makes the write conditional: Firestore rejects it with
+// FAILED_PRECONDITION if the document changed since that read
+async function updateFirestoreDocument(projectId, accessToken, collection, docId, data, updateTime = null, attempt = 1) {
+  try {
+    console.log(`Updating Firestore document (attempt ${attempt}/${RETRY_CONFIG.maxRetries + 1}): ${collection}/${docId}`);
+    
+    const firestoreData = toFirestoreFields(data);
+    
+    // Without an update mask a PATCH replaces the whole document, which would
+    // drop fields written at creation time (destination, provider, model...)
+    const updateMask = Object.keys(firestoreData)
+      .map(field => `updateMask.fieldPaths=${encodeURIComponent(field)}`)
+      .join('&');
+    const precondition = updateTime ? `&currentDocument.updateTime=${encodeURIComponent(updateTime)}` : '';
+    const url = `https://firestore.googleapis.com/v1/projects/${projectId}/databases/(default)/documents/${collection}/${docId}?${updateMask}${precondition}`;
+    
+    const response = await fetch(url, {
+      method: 'PATCH',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ fields: firestoreData }),
+    });
+    
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw firestoreError(`Firestore update failed: ${response.status} - ${errorText}`, response.status);
+    }
+    
+    console.log('Firestore document updated successfully');
+    return await response.json();
+  } catch (error) {
+    console.error(`Firestore update attempt ${attempt} failed:`, error);
+    
+    if (attempt <= RETRY_CONFIG.maxRetries && (error.message.includes('500') || error.message.includes('502') || error.message.includes('503'))) {
+      const delay = calculateDelay(attempt);
+      console.log(`Retrying Firestore update in ${delay}ms...`);
+      await sleep(delay);
+      return updateFirestoreDocument(projectId, accessToken, collection, docId, data, updateTime, attempt + 1);
+    }
+    
+    throw error;
+  }
+}
+
+// Helper function to convert Firestore format
+function convertFromFirestoreFormat(fields) {
+  const result = {};
+  
+  for (const [key, value] of Object.entries(fields)) {
+    if (value.stringValue !== undefined) {
+      result[key] = value.stringValue;
+    } else if (value.integerValue !== undefined) {
+      result[key] = parseInt(value.integerValue);
+    } else if (value.doubleValue !== undefined) {
+      result[key] = value.doubleValue;
+    } else if (value.booleanValue !== undefined) {
+      result[key] = value.booleanValue;
+    } else if (value.timestampValue !== undefined) {
+      result[key] = value.timestampValue;
+    } else if (value.nullValue !== undefined) {
+      result[key] = null;
+    } else if (value.arrayValue !== undefined) {
+      // Firestore omits `values` for empty arrays and `fields` for empty maps
+      result[key] = (value.arrayValue.values || []).map(item => {
+        if (item.mapValue) {
+          return convertFromFirestoreFormat(item.mapValue.fields || {});
+        }
+        return convertFromFirestoreFormat({ temp: item }).temp;
+      });
+    } else if (value.mapValue !== undefined) {
+      result[key] = convertFromFirestoreFormat(value.mapValue.fields || {});
+    }
+  }
+  
+  return result;
+}
+
+// Read a single document in the REST format ({ fields, updateTime, ... }),
+// null if it does not exist
+async function readFirestoreDocument(projectId, accessToken, collection, docId) {
+  const response = await fetch(
+    `https://firestore.googleapis.com/v1/projects/${projectId}/databases/(default)/documents/${collection}/${docId}`,
+    {
+      headers: { 'Authorization': `Bearer ${accessToken}` }
+    }
+  );
+  
+  if (response.status === 404) {
+    return null;
+  }
+  
+  if (!response.ok) {
+    throw firestoreError(`Firestore error: ${response.status}`, response.status);
+  }
+  
+  return response.json();
+}
+
+// Read a single document, null if it does not exist
+async function getFirestoreDocument(projectId, accessToken, collection, docId) {
+  const doc = await readFirestoreDocument(projectId, accessToken, collection, docId);
+  return doc ? convertFromFirestoreFormat(doc.fields || {}) : null;
+}
+
+// Query a collection with optional status / createdBefore filters, ordered by createdAt.
+// Filtering on status and ordering by createdAt needs a composite index
+// (status ASC, createdAt ASC/DESC) in Firestore.
+async function queryFirestoreDocuments(projectId, accessToken, collection, { status, createdBefore, limit = 50, order = 'desc' } = {}) {
+  const filters = [];
+  
+  if (status) {
+    filters.push({ fieldFilter: { field: { fieldPath: 'status' }, op: 'EQUAL', value: { stringValue: status } } });
+  }
+  if (createdBefore) {
+    filters.push({ fieldFilter: { field: { fieldPath: 'createdAt' }, op: 'LESS_THAN', value: toFirestoreValue(new Date(createdBefore)) } });
+  }
+  
+  const structuredQuery = {
+    from: [{ collectionId: collection }],
+    orderBy: [{ field: { fieldPath: 'createdAt' }, direction: order === 'asc' ? 'ASCENDING' : 'DESCENDING' }],
+    limit
+  };
+  if (filters.length === 1) {
+    structuredQuery.where = filters[0];
+  } else if (filters.length > 1) {
+    structuredQuery.where = { compositeFilter: { op: 'AND', filters } };
+  }
+  
+  const response = await fetch(
+    `https://firestore.googleapis.com/v1/projects/${projectId}/databases/(default)/documents:runQuery`,
+    {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ structuredQuery }),
+    }
+  );
+  
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw firestoreError(`Firestore query failed: ${response.status} - ${errorText}`, response.status);
+  }
+  
+  const results = await response.json();
+  return results
+    .filter(result => result.document)
+    .map(result => ({
+      id: result.document.name.split('/').pop(),
+      ...convertFromFirestoreFormat(result.document.fields || {})
+    }));
+}
+
+// Every document in a (sub)collection, optionally limited to some fields
+async function listFirestoreDocuments(projectId, accessToken, collectionPath, fieldPaths = []) {
+  const documents = [];
+  let pageToken = null;
+  
+  do {
+    const params = new URLSearchParams({ pageSize: '300' });
+    fieldPaths.forEach(field => params.append('mask.fieldPaths', field));
+    if (pageToken) {
+      params.set('pageToken', pageToken);
+    }
+    
+    const response = await fetch(
+      `https://firestore.googleapis.com/v1/projects/${projectId}/databases/(default)/documents/${collectionPath}?${params}`,
+      {
+        headers: { 'Authorization': `Bearer ${accessToken}` }
+      }
+    );
+    
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw firestoreError(`Firestore list failed: ${response.status} - ${errorText}`, response.status);
+    }
+    
+    const page = await response.json();
+    for (const doc of page.documents || []) {
+      documents.push(convertFromFirestoreFormat(doc.fields || {}));
+    }
+    pageToken = page.nextPageToken || null;
+  } while (pageToken);
+  
+  return documents;
+}
+
+export function createFirestoreJobRepository(serviceAccountKey, collection = 'itineraries') {
+  const serviceAccount = JSON.parse(serviceAccountKey);
+  const projectId = serviceAccount.project_id;
+  
+  // Tokens come from the shared cache, so a long-running job picks up a fresh
+  // one once the old token nears expiry. A 401 means the cached token was
+  // revoked or expired early: drop it and retry once with a new one.
+  async function withAccessToken(operation) {
+    try {
+      return await operation(await getAccessToken(serviceAccountKey));
+    } catch (error) {
+      if (error.status !== 401) {
+        throw error;
+      }
+      console.log('Firestore rejected the access token, refreshing...');
+      invalidateAccessToken(serviceAccountKey);
+      return operation(await getAccessToken(serviceAccountKey));
+    }
+  }
+  
+  return {
+    name: 'firestore',
+    
+    async create(jobId, data) {
+      await withAccessToken(token => createFirestoreDocument(projectId, token, collection, jobId, { ...data, updatedAt: new Date() }));
+    },
+    
+    async update(jobId, changes, { ifStatus } = {}) {
+      const data = { ...changes, updatedAt: new Date() };
+      if (!ifStatus) {
+        await withAccessToken(token => updateFirestoreDocument(projectId, token, collection, jobId, data));
+        return;
+      }
+      
+      // Check the status, then write only if the document is unchanged since
+      // that read, so a concurrent status change can't be overwritten. Any
+      // other concurrent write (e.g. progress) just means reading again.
+      const conditionalUpdate = async (token, attempt = 1) => {
+        const doc = await readFirestoreDocument(projectId, token, collection, jobId);
+        if (!doc) {
+          throw new Error(`Job ${jobId} not found`);
+        }
+        const status = doc.fields?.status?.stringValue;
+        if (status !== ifStatus) {
+          throw new StorageConflictError(`Job ${jobId} is ${status}, not ${ifStatus}`);
+        }
+        try {
+          await updateFirestoreDocument(projectId, token, collection, jobId, data, doc.updateTime);
+        } catch (error) {
+          const changed = error.status === 409 || (error.status === 400 && error.message.includes('FAILED_PRECONDITION'));
+          if (!changed) {
+            throw error;
+          }
+          if (attempt > RETRY_CONFIG.maxRetries) {
+            throw new StorageConflictError(`Job ${jobId} kept changing while being updated`);
+          }
+          return conditionalUpdate(token, attempt + 1);
+        }
+      };
+      await withAccessToken(token => conditionalUpdate(token));
+    },
+    
+    async get(jobId) {
+      return withAccessToken(token => getFirestoreDocument(projectId, token, collection, jobId));
+    },
+    
+    async list(options) {
+      return withAccessToken(token => queryFirestoreDocuments(projectId, token, collection, options));
+    },
+    
+    async addVersion(jobId, version) {
+      try {
+        await withAccessToken(token => createFirestoreDocument(projectId, token, `${collection}/${jobId}/versions`, String(version.version), version));
+      } catch (error) {
+        if (error.status === 409) {
+          throw new StorageConflictError(`Version ${version.version} of job ${jobId} already exists`);
+        }
+        throw error;
+      }
+    },
+    
+    async listVersions(jobId) {
+      const versions = await withAccessToken(token => listFirestoreDocuments(
+        projectId, token, `${collection}/${jobId}/versions`, ['version', 'reason', 'createdAt', 'restoredFrom']
+      ));
+      return versions.sort((a, b) => a.version - b.version);
+    },
+    
+    async getVersion(jobId, number) {
+      return withAccessToken(token => getFirestoreDocument(projectId, token, `${collection}/${jobId}/versions`, String(number)));
+    }
+  };
+}
@@ -0,0 +1,71 @@
+import { createD1JobRepository } from './d1.js';
+import { createFirestoreJobRepository } from './firestore.js';
+import { createMemoryJobRepository } from './memory.js';
+import { StorageConfigError, StorageConflictError, StorageUnavailableError } from './errors.js';
+
+export { StorageConfigError, StorageConflictError, StorageUnavailableError } from './errors.js';
+
+// Job repository interface shared by every storage backend:
+//   create(jobId, data)  - store a new job document
+//   update(jobId, data, { ifStatus })
+//                        - set the given top-level fields, leaving the rest as is;
+//                          with ifStatus, only if the job still has that status
+//                          (throws StorageConflictError otherwise)
+//   get(jobId)           - the job document, or null if there is none
+//   list({ status, createdBefore, limit, order })
+//                        - jobs ordered by createdAt, each with its `id`
+//   addVersion(jobId, version)
+//                        - store an immutable itinerary version
+//                          ({ version, reason, createdAt, itinerary, ... });
+//                          throws StorageConflictError if the number is taken
+//   listVersions(jobId)  - version metadata (no itinerary), oldest first
+//   getVersion(jobId, n) - one version with its itinerary, or null
+// create and update also stamp the job document's `updatedAt`, which the
+// reaper uses to spot jobs that stopped making progress. Failures other than
+// StorageConflictError are thrown as StorageUnavailableError.
+
+export const STORAGE_BACKENDS = ['firestore', 'd1', 'memory'];
+
+// Backend errors as StorageUnavailableError, so callers can tell a storage
+// outage from a bug without knowing which backend is in use
+function withStorageErrors(repository) {
+  const wrapped = {};
+  for (const [key, value] of Object.entries(repository)) {
+    wrapped[key] = typeof value !== 'function' ? value : async (...args) => {
+      try {
+        return await value.apply(repository, args);
+      } catch (error) {
+        if (error instanceof StorageConflictError) {
+          throw error;
+        }
+        throw new StorageUnavailableError(`${repository.name} ${key} failed: ${error.message}`, { cause: error });
+      }
+    };
+  }
+  return wrapped;
+}
+
+// Pick the backend from STORAGE_BACKEND (default: firestore)
+export function createJobRepository(env) {
+  const backend = env.STORAGE_BACKEND || 'firestore';
+  
+  switch (backend) {
+    case 'firestore':
+      if (!env.FIREBASE_SERVICE_ACCOUNT_KEY) {
+        throw new StorageConfigError('FIREBASE_SERVICE_ACCOUNT_KEY not configured');
+      }
+      return withStorageErrors(createFirestoreJobRepository(env.FIREBASE_SERVICE_ACCOUNT_KEY));
+    
+    case 'd1':
+      if (!env.ITINERARIES_DB) {
+        throw new StorageConfigError('ITINERARIES_DB D1 binding not configured');
+      }
+      return withStorageErrors(createD1JobRepository(env.ITINERARIES_DB));
+    
+    case 'memory':
+      return withStorageErrors(createMemoryJobRepository());
+    
+    default:
+      throw new StorageConfigError(`Unknown STORAGE_BACKEND '${backend}'. Expected one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+}
@@ -0,0 +1,72 @@
+import { StorageConflictError } from './errors.js';
+
+// In-memory job repository for local development and tests. Jobs live for the
+// lifetime of the isolate only, and are stored as JSON so reads look the same
+// as from the other backends (dates come back as ISO strings).
+
+const sharedJobs = new Map();
+const sharedVersions = new Map();
+
+function toStored(data) {
+  return JSON.parse(JSON.stringify(data));
+}
+
+export function createMemoryJobRepository(jobs = sharedJobs, versions = sharedVersions) {
+  return {
+    name: 'memory',
+    
+    async create(jobId, data) {
+      if (jobs.has(jobId)) {
+        throw new Error(`Job ${jobId} already exists`);
+      }
+      jobs.set(jobId, toStored({ ...data, updatedAt: new Date() }));
+    },
+    
+    async update(jobId, data, { ifStatus } = {}) {
+      const job = jobs.get(jobId);
+      if (!job) {
+        throw new Error(`Job ${jobId} not found`);
+      }
+      if (ifStatus && job.status !== ifStatus) {
+        throw new StorageConflictError(`Job ${jobId} is ${job.status}, not ${ifStatus}`);
+      }
+      jobs.set(jobId, { ...job, ...toStored({ ...data, updatedAt: new Date() }) });
+    },
+    
+    async get(jobId) {
+      const job = jobs.get(jobId);
+      return job ? toStored(job) : null;
+    },
+    
+    async list({ status, createdBefore, limit = 50, order = 'desc' } = {}) {
+      const before = createdBefore ? new Date(createdBefore).getTime() : Infinity;
+      const direction = order === 'asc' ? 1 : -1;
+      
+      return [...jobs.entries()]
+        .map(([id, job]) => ({ id, ...toStored(job) }))
+        .filter(job => (!status || job.status === status) && new Date(job.createdAt).getTime() < before)
+        .sort((a, b) => direction * (new Date(a.createdAt) - new Date(b.createdAt)))
+        .slice(0, limit);
+    },
+    
+    async addVersion(jobId, version) {
+      const jobVersions = versions.get(jobId) || new Map();
+      if (jobVersions.has(version.version)) {
+        throw new StorageConflictError(`Version ${version.version} of job ${jobId} already exists`);
+      }
+      jobVersions.set(version.version, toStored(version));
+      versions.set(jobId, jobVersions);
+    },
+    
+    async listVersions(jobId) {
+      return [...(versions.get(jobId) || new Map()).values()]
+        .map(({ itinerary, ...metadata }) => toStored(metadata))
+        .sort((a, b) => a.version - b.version);
+    },
+    
+    async getVersion(jobId, number) {
+      const version = versions.get(jobId)?.get(number);
+      return version ? toStored(version) : null;
+    }
+  };
+}
@@ -0,0 +1,197 @@
+import { calculateDelay, sleep } from './retry.js';
+
+// Completion callbacks. A job created with a `callbackUrl` gets the final job
+// document POSTed to that URL once it completes or fails. Each request is
+// signed with WEBHOOK_SIGNING_SECRET:
+//   X-Itinerary-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// so receivers can check both the sender and the age of the request.
+
+export const WEBHOOK_CONFIG = {
+  maxAttempts: 4,
+  timeoutMs: 10000,
+  maxUrlLength: 2048,
+  signatureHeader: 'X-Itinerary-Signature'
+};
+
+// Host names that only make sense inside a private network
+const INTERNAL_HOST_SUFFIXES = ['.localhost', '.local', '.internal', '.intranet', '.lan', '.home.arpa'];
+
+// Private, loopback, link-local, shared, benchmarking, multicast and reserved
+// IPv4 ranges as [first octets, prefix length]
+const BLOCKED_IPV4_RANGES = [
+  [[0, 0, 0, 0], 8],
+  [[10, 0, 0, 0], 8],
+  [[100, 64, 0, 0], 10],
+  [[127, 0, 0, 0], 8],
+  [[169, 254, 0, 0], 16],
+  [[172, 16, 0, 0], 12],
+  [[192, 0, 0, 0], 24],
+  [[192, 168, 0, 0], 16],
+  [[198, 18, 0, 0], 15],
+  [[224, 0, 0, 0], 3]
+];
+
+function isBlockedIPv4(octets) {
+  const address = octets.reduce((value, octet) => value * 256 + octet, 0);
+  return BLOCKED_IPV4_RANGES.some(([range, prefix]) => {
+    const start = range.reduce((value, octet) => value * 256 + octet, 0);
+    const size = 2 ** (32 - prefix);
+    return address >= start && address < start + size;
+  });
+}
+
+// The eight 16-bit groups of an IPv6 address, including one that ends in
+// dotted IPv4 like "::ffff:127.0.0.1"
+function parseIPv6(address) {
+  const dotted = address.match(/^(.*:)(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(2).map(Number);
+    address = `${dotted[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = address.split('::');
+  const groups = part => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+  const left = groups(head);
+  const right = groups(tail);
+  return [...left, ...new Array(8 - left.length - right.length).fill(0), ...right];
+}
+
+const toOctets = (high, low) => [high >> 8, high & 0xff, low >> 8, low & 0xff];
+
+// Unique local, link-local and multicast addresses, plus the forms that
+// carry an IPv4 address, which is checked as IPv4: IPv4-compatible ::/96
+// (which covers :: and ::1), IPv4-mapped ::ffff:0:0/96, IPv4-translated
+// ::ffff:0:0:0/96, NAT64 64:ff9b::/96 and 6to4 2002::/16
+function isBlockedIPv6(address) {
+  const groups = parseIPv6(address);
+  const zeros = count => groups.slice(0, count).every(group => group === 0);
+
+  if (zeros(6) || (zeros(5) && groups[5] === 0xffff) || (zeros(4) && groups[4] === 0xffff && groups[5] === 0)) {
+    return isBlockedIPv4(toOctets(groups[6], groups[7]));
+  }
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+    return isBlockedIPv4(toOctets(groups[6], groups[7]));
+  }
+  if (groups[0] === 0x2002) {
+    return isBlockedIPv4(toOctets(groups[1], groups[2]));
+  }
+  const first = groups[0];
+  return (first & 0xfe00) === 0xfc00 || (first & 0xffc0) === 0xfe80 || (first & 0xff00) === 0xff00;
+}
+
+// Why a callback URL is unacceptable, or null if it is fine. Only public
+// https URLs are allowed, so callbacks can't be pointed at the worker's own
+// network or at other internal services.
+export function validateCallbackUrl(value) {
+  if (typeof value !== 'string' || value.length > WEBHOOK_CONFIG.maxUrlLength) {
+    return `must be a URL of at most ${WEBHOOK_CONFIG.maxUrlLength} characters`;
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return 'must be an absolute URL';
+  }
+
+  if (url.protocol !== 'https:') {
+    return 'must use https';
+  }
+  if (url.username || url.password) {
+    return 'must not contain credentials';
+  }
+
+  // The URL parser has already normalised IPv4 forms like 2130706433 or 0x7f.1
+  const hostname = url.hostname.toLowerCase().replace(/\.$/, '');
+  if (hostname.startsWith('[')) {
+    return isBlockedIPv6(hostname.slice(1, -1)) ? 'must not point to a private or reserved address' : null;
+  }
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(hostname)) {
+    return isBlockedIPv4(hostname.split('.').map(Number)) ? 'must not point to a private or reserved address' : null;
+  }
+  if (!hostname.includes('.') || hostname === 'localhost' || INTERNAL_HOST_SUFFIXES.some(suffix => hostname.endsWith(suffix))) {
+    return 'must point to a public host name';
+  }
+
+  return null;
+}
+
+async function hmacSHA256Hex(secret, message) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+  return [...new Uint8Array(signature)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Signature header value for one delivery attempt
+export async function signWebhookPayload(secret, timestamp, body) {
+  return `t=${timestamp},v1=${await hmacSHA256Hex(secret, `${timestamp}.${body}`)}`;
+}
+
+// Timeouts, network errors, 408, 429 and 5xx are worth another try; any other
+// answer (including redirects, which are not followed) is final
+function isRetryableStatus(status) {
+  return status === null || status === 408 || status === 429 || status >= 500;
+}
+
+// POST the body until the receiver answers 2xx or WEBHOOK_CONFIG.maxAttempts
+// is used up. Every attempt is signed afresh with its own timestamp.
+async function deliver(url, body, { secret, event, deliveryId }, attempts = [], attempt = 1) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const record = { attempt, at: new Date().toISOString(), status: null, error: null };
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ai-itinerary-generator-webhooks',
+        'X-Itinerary-Event': event,
+        'X-Itinerary-Delivery': deliveryId,
+        [WEBHOOK_CONFIG.signatureHeader]: await signWebhookPayload(secret, timestamp, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_CONFIG.timeoutMs)
+    });
+    record.status = response.status;
+    if (!response.ok) {
+      record.error = `Receiver answered ${response.status}`;
+    }
+  } catch (error) {
+    record.error = error.name === 'TimeoutError'
+      ? `No answer within ${WEBHOOK_CONFIG.timeoutMs}ms`
+      : `Request failed: ${error.message}`;
+  }
+  attempts.push(record);
+
+  if (!record.error) {
+    return { status: 'delivered', deliveryId, attempts, deliveredAt: record.at };
+  }
+
+  console.error(`Webhook delivery ${deliveryId} attempt ${attempt} failed: ${record.error}`);
+  if (attempt < WEBHOOK_CONFIG.maxAttempts && isRetryableStatus(record.status)) {
+    const delay = calculateDelay(attempt);
+    console.log(`Retrying webhook delivery in ${delay}ms...`);
+    await sleep(delay);
+    return deliver(url, body, { secret, event, deliveryId }, attempts, attempt + 1);
+  }
+
+  return { status: 'failed', deliveryId, attempts, deliveredAt: null };
+}
+
+// Webhook sender for this deployment, or null when WEBHOOK_SIGNING_SECRET is
+// not set (callbacks are then refused at POST time). send() never throws; it
+// returns the delivery record stored on the job:
+//   { status: 'delivered' | 'failed', deliveryId, attempts, deliveredAt }
+export function createWebhookSender(env) {
+  const secret = env.WEBHOOK_SIGNING_SECRET;
+  if (!secret) {
+    return null;
+  }
+
+  return {
+    async send(url, payload) {
+      return deliver(url, JSON.stringify(payload), { secret, event: payload.event, deliveryId: crypto.randomUUID() });
+    }
+  };
+}